@@ -0,0 +1,50 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { localDebug } from "./log";
+
+/**
+ * Run a lookup once per cache directory, saving the result as JSON so later
+ * steps or jobs sharing the directory (e.g. `RUNNER_TEMP` or a restored Actions cache) can reuse it.
+ * Without a directory, the lookup is always run. Failed lookups are not cached.
+ * @template T
+ * @param {string | undefined} dir Cache directory, created if it doesn't exist.
+ * @param {string} key Identifies the lookup. Must change whenever the result could change.
+ * @param {() => Promise<T>} lookup Must return a JSON-serializable value.
+ * @returns {Promise<T>}
+ */
+export async function cached(dir, key, lookup) {
+  if (!dir) {
+    return lookup();
+  }
+  const file = join(
+    dir,
+    `${createHash("sha256").update(key).digest("hex")}.json`
+  );
+  try {
+    const entry = JSON.parse(await readFile(file, { encoding: "utf-8" }));
+    if (entry.key === key) {
+      localDebug(`Cache hit: ${key}`);
+      return entry.value;
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      localDebug(
+        `Ignoring unreadable cache entry for ${key}: ${error.toString()}`
+      );
+    }
+  }
+
+  const value = await lookup();
+  try {
+    await mkdir(dir, { recursive: true });
+    // Write then rename so concurrent steps never read a partial entry.
+    const temp = `${file}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify({ key, value }));
+    await rename(temp, file);
+  } catch (error) {
+    // The cache is only an optimisation, so don't fail the build over it.
+    localDebug(`Failed to write cache entry for ${key}: ${error.toString()}`);
+  }
+  return value;
+}
@@ -0,0 +1,57 @@
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { cached } from "./cache";
+
+describe("cached", () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "provider-version-cache-"));
+  });
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("reuses the saved value", async () => {
+    const lookup = jest.fn(async () => ({ tag_name: "v1.2.3" }));
+    expect(await cached(dir, "key", lookup)).toEqual({ tag_name: "v1.2.3" });
+    expect(await cached(dir, "key", lookup)).toEqual({ tag_name: "v1.2.3" });
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(readdirSync(dir)).toHaveLength(1);
+  });
+
+  test("separate keys", async () => {
+    expect(await cached(dir, "a", async () => 1)).toBe(1);
+    expect(await cached(dir, "b", async () => 2)).toBe(2);
+  });
+
+  test("creates the directory", async () => {
+    const nested = join(dir, "nested");
+    await cached(nested, "key", async () => 1);
+    expect(readdirSync(nested)).toHaveLength(1);
+  });
+
+  test("without a directory", async () => {
+    const lookup = jest.fn(async () => 1);
+    await cached(undefined, "key", lookup);
+    await cached(undefined, "key", lookup);
+    expect(lookup).toHaveBeenCalledTimes(2);
+  });
+
+  test("failed lookups aren't saved", async () => {
+    await expect(
+      cached(dir, "key", async () => {
+        throw new Error("Not Found");
+      })
+    ).rejects.toThrow("Not Found");
+    expect(await cached(dir, "key", async () => 1)).toBe(1);
+  });
+
+  test("ignores unreadable entries", async () => {
+    await cached(dir, "key", async () => 1);
+    const [file] = readdirSync(dir);
+    writeFileSync(join(dir, file), "{");
+    expect(await cached(dir, "key", async () => 2)).toBe(2);
+    expect(await cached(dir, "key", async () => 3)).toBe(2);
+  });
+});
@@ -0,0 +1,300 @@
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { git } from "./git";
+import { LANGUAGES } from "./languages";
+import {
+  parseBranchPatterns,
+  parseDefaultIncrement,
+  parseGitHubApiUrl,
+  parseLabelMap,
+  parseLookupRetries,
+  parseMajorVersion,
+  parseOnLookupFailure,
+  parseOrderingSource,
+  parsePrereleaseFormat,
+  parsePrereleaseLabel,
+  parseRegistry,
+  parseReleaseSelection,
+  parseTagPrefix,
+  parseUpgradeBranchMap,
+  parseVersionBranchPatterns,
+  parseVersionGuard,
+  parseVersionSource,
+} from "./inputs";
+
+export const usage = `Usage: provider-version [options]
+
+Calculate the version of a Pulumi provider build outside of GitHub Actions.
+Options default to the GITHUB_* environment variables where one exists.
+
+Options:
+  --event <name>             Event name, e.g. push, pull_request, schedule (GITHUB_EVENT_NAME)
+  --event-path <file>        Path to a saved event payload JSON file (GITHUB_EVENT_PATH)
+  --ref <ref>                Git ref being built, e.g. refs/heads/main (GITHUB_REF, defaults to the checked out branch)
+  --sha <sha>                Commit being built (GITHUB_SHA, defaults to HEAD)
+  --repo <owner/name>        Repository to look up releases, commits and PRs in (GITHUB_REPOSITORY)
+  --default-branch <branch>  Default branch of the repository
+  --head-ref <branch>        Head branch of the pull request
+  --pr-labels <labels>       Comma-separated labels of the pull request
+  --commit-message <message> Message of the commit being built
+  --commit-timestamp <time>  ISO timestamp of the commit being built
+  --major-version <major>    Force a specific major version
+  --version-source <source>  Where to find the previous release: github-releases, git-tags, file or registry
+  --version-file <file>      File containing the released version (defaults to .version, then VERSION)
+  --registry <registry>      Registry to find the previous release in: npm, pypi or go
+  --registry-package <name>  Package to look up in the registry
+  --registry-url <url>       Base URL of the registry (defaults to the public registry)
+  --workspace <dir>          Repository checkout directory (defaults to the current directory)
+  --run-number <number>      Workflow run number for the {run_number} token (GITHUB_RUN_NUMBER)
+  --prerelease-label <label> Label used in generated versions (defaults to alpha)
+  --prerelease-format <fmt>  Template for the pre-release part of generated versions
+  --ordering-source <source> What orders generated versions: timestamp, commit-distance or run-number
+  --conventional-commits     Choose the increment from the Conventional Commits since the previous release
+  --default-increment <inc>  Increment used when no other rule chooses one: major, minor or patch
+  --label-map <map>          PR labels which choose the increment e.g. release/major=major,release/minor=minor
+  --upgrade-branch-map <map> Branch patterns which choose the increment, one per line e.g. upgrade-*-minor=minor
+  --tag-prefix <prefix>      Prefix of the version tags e.g. sdk/ for sdk/v1.2.3
+  --release-selection <mode> How to choose the previous release: latest-flag or highest-semver
+  --include-draft-releases   Include draft releases when selecting the highest semver release
+  --include-prereleases      Include pre-releases when selecting the highest semver release
+  --release-major-line <maj> Only consider releases in this major version when selecting the highest semver release
+  --cache-dir <dir>          Cache GitHub API responses in this directory between runs
+  --github-api-url <url>     GitHub API URL, e.g. for GitHub Enterprise Server (GITHUB_API_URL)
+  --on-lookup-failure <mode> When the previous release can't be looked up: fail, warn or fallback (defaults to warn)
+  --lookup-retries <count>   Retries for GitHub API server errors (defaults to 3)
+  --version-guard <policy>   Check the version is newer than published versions: off, warn or fail (defaults to off)
+  --version-guard-tags       Also check the version against all existing tags in its major version
+  --version-branch-patterns <patterns>
+                             Comma-separated release branch patterns e.g. v{major},release-{major}.x,release/v{major}.{minor}
+  --validate-tags            Fail tag builds which don't match --major-version or --prerelease-tag-branches
+  --prerelease-tag-branches <branches>
+                             Comma-separated branch patterns where pre-release tags are allowed
+  --language <language>      Print the version for an SDK language: ${LANGUAGES.join(", ")}
+  --simulate                 Print a table of the versions each kind of build would produce, using the
+                             --head-ref and --pr-labels pull request. --event isn't required.
+  -h, --help                 Show this help
+`;
+
+/**
+ * Parse the CLI arguments into the context and arguments for `calculateVersion`.
+ * @param {string[]} argv Arguments, excluding the node executable and script.
+ * @param {Record<string, string | undefined>} [env] Environment variables to use as defaults.
+ * @returns {Promise<{ help: true } | { help: false, simulate: boolean, language?: keyof import("./languages").LanguageVersions, context: import("@actions/github/lib/context").Context, args: import("./version").CalculateVersionArgs }>}
+ */
+export async function parseCliArgs(argv, env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    strict: true,
+    options: {
+      event: { type: "string" },
+      "event-path": { type: "string" },
+      ref: { type: "string" },
+      sha: { type: "string" },
+      repo: { type: "string" },
+      "default-branch": { type: "string" },
+      "head-ref": { type: "string" },
+      "pr-labels": { type: "string" },
+      "commit-message": { type: "string" },
+      "commit-timestamp": { type: "string" },
+      "major-version": { type: "string" },
+      "version-source": { type: "string" },
+      "version-file": { type: "string" },
+      registry: { type: "string" },
+      "registry-package": { type: "string" },
+      "registry-url": { type: "string" },
+      workspace: { type: "string" },
+      "run-number": { type: "string" },
+      "prerelease-label": { type: "string" },
+      "prerelease-format": { type: "string" },
+      "ordering-source": { type: "string" },
+      "conventional-commits": { type: "boolean" },
+      "default-increment": { type: "string" },
+      "label-map": { type: "string" },
+      "upgrade-branch-map": { type: "string" },
+      "tag-prefix": { type: "string" },
+      "release-selection": { type: "string" },
+      "include-draft-releases": { type: "boolean" },
+      "include-prereleases": { type: "boolean" },
+      "release-major-line": { type: "string" },
+      "cache-dir": { type: "string" },
+      "github-api-url": { type: "string" },
+      "on-lookup-failure": { type: "string" },
+      "lookup-retries": { type: "string" },
+      "version-guard": { type: "string" },
+      "version-guard-tags": { type: "boolean" },
+      "version-branch-patterns": { type: "string" },
+      "validate-tags": { type: "boolean" },
+      "prerelease-tag-branches": { type: "string" },
+      language: { type: "string" },
+      simulate: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (values.language !== undefined && !LANGUAGES.includes(values.language)) {
+    throw new Error(
+      `Invalid language: ${values.language}. Must be one of ${LANGUAGES.join(", ")}.`
+    );
+  }
+  if (
+    values["commit-timestamp"] !== undefined &&
+    isNaN(Date.parse(values["commit-timestamp"]))
+  ) {
+    throw new Error(
+      `Invalid commit timestamp: ${values["commit-timestamp"]}. Must be an ISO timestamp e.g. 2020-01-01T00:00:00Z.`
+    );
+  }
+  // Simulations calculate the version of every event.
+  const simulate = values.simulate ?? false;
+  const eventName =
+    values.event ?? env.GITHUB_EVENT_NAME ?? (simulate ? "push" : undefined);
+  if (!eventName) {
+    throw new Error("Missing event: use --event or set GITHUB_EVENT_NAME.");
+  }
+  const workspace = values.workspace ?? env.GITHUB_WORKSPACE ?? process.cwd();
+
+  const eventPath = values["event-path"] ?? env.GITHUB_EVENT_PATH;
+  const payload = eventPath
+    ? JSON.parse(readFileSync(eventPath, { encoding: "utf-8" }))
+    : {};
+  if (values["default-branch"] !== undefined) {
+    payload.repository = {
+      ...payload.repository,
+      default_branch: values["default-branch"],
+    };
+  }
+  if (values["head-ref"] !== undefined) {
+    payload.pull_request = {
+      ...payload.pull_request,
+      head: { ...payload.pull_request?.head, ref: values["head-ref"] },
+    };
+  }
+  if (values["pr-labels"] !== undefined) {
+    payload.pull_request = {
+      ...payload.pull_request,
+      labels: values["pr-labels"]
+        .split(",")
+        .map((name) => name.trim())
+        .filter((name) => name !== "")
+        .map((name) => ({ name })),
+    };
+  }
+  if (
+    values["commit-message"] !== undefined ||
+    values["commit-timestamp"] !== undefined
+  ) {
+    payload.head_commit = {
+      ...payload.head_commit,
+      message: values["commit-message"] ?? payload.head_commit?.message,
+      timestamp: values["commit-timestamp"] ?? payload.head_commit?.timestamp,
+    };
+  }
+
+  const sha =
+    values.sha ??
+    env.GITHUB_SHA ??
+    (await git(["rev-parse", "HEAD"], workspace));
+  const ref =
+    values.ref ?? env.GITHUB_REF ?? (await getCheckedOutBranch(workspace));
+  const runNumber = values["run-number"] ?? env.GITHUB_RUN_NUMBER;
+
+  return {
+    help: false,
+    simulate,
+    language: values.language,
+    context: {
+      eventName,
+      ref,
+      sha,
+      repo: parseRepo(
+        values.repo ?? env.GITHUB_REPOSITORY ?? payload.repository?.full_name
+      ),
+      payload,
+      runNumber: runNumber === undefined ? undefined : parseInt(runNumber, 10),
+    },
+    args: {
+      majorVersion: parseMajorVersion(values["major-version"] ?? ""),
+      versionSource: parseVersionSource(values["version-source"] ?? ""),
+      versionFile: values["version-file"],
+      registry: parseRegistry(
+        values.registry ?? "",
+        values["registry-package"] ?? "",
+        values["registry-url"] ?? ""
+      ),
+      workspace,
+      prereleaseLabel: parsePrereleaseLabel(values["prerelease-label"] ?? ""),
+      prereleaseFormat: parsePrereleaseFormat(
+        values["prerelease-format"] ?? ""
+      ),
+      orderingSource: parseOrderingSource(values["ordering-source"] ?? ""),
+      conventionalCommits: values["conventional-commits"] ?? false,
+      defaultIncrement: parseDefaultIncrement(
+        values["default-increment"] ?? ""
+      ),
+      labelMap: parseLabelMap(values["label-map"] ?? ""),
+      upgradeBranchMap: parseUpgradeBranchMap(
+        values["upgrade-branch-map"] ?? ""
+      ),
+      tagPrefix: parseTagPrefix(values["tag-prefix"] ?? ""),
+      releaseSelection: parseReleaseSelection(
+        values["release-selection"] ?? ""
+      ),
+      includeDraftReleases: values["include-draft-releases"] ?? false,
+      includePrereleases: values["include-prereleases"] ?? false,
+      releaseMajorLine: parseMajorVersion(values["release-major-line"] ?? ""),
+      cacheDir: values["cache-dir"],
+      githubApiUrl: parseGitHubApiUrl(values["github-api-url"] ?? ""),
+      onLookupFailure: parseOnLookupFailure(values["on-lookup-failure"] ?? ""),
+      lookupRetries: parseLookupRetries(values["lookup-retries"] ?? ""),
+      versionGuard: parseVersionGuard(values["version-guard"] ?? ""),
+      versionGuardTags: values["version-guard-tags"] ?? false,
+      versionBranchPatterns: parseVersionBranchPatterns(
+        values["version-branch-patterns"] ?? ""
+      ),
+      validateTags: values["validate-tags"] ?? false,
+      prereleaseTagBranches: parseBranchPatterns(
+        values["prerelease-tag-branches"] ?? ""
+      ),
+    },
+  };
+}
+
+/**
+ * @param {string} workspace
+ * @returns {Promise<string>} The checked out branch e.g. `refs/heads/main`.
+ */
+async function getCheckedOutBranch(workspace) {
+  try {
+    return await git(["symbolic-ref", "HEAD"], workspace);
+  } catch (error) {
+    // CI systems usually check out the commit being built rather than a branch.
+    if (/not a symbolic ref/.test(error.stderr ?? "")) {
+      throw new Error(
+        "Missing ref: HEAD is detached, so use --ref or set GITHUB_REF e.g. --ref refs/heads/main."
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * @param {string | undefined} repository
+ * @returns {{ owner: string, repo: string }}
+ */
+function parseRepo(repository) {
+  if (!repository) {
+    throw new Error(
+      "Missing repository: use --repo owner/name or set GITHUB_REPOSITORY."
+    );
+  }
+  const [owner, repo, ...rest] = repository.split("/");
+  if (!owner || !repo || rest.length > 0) {
+    throw new Error(
+      `Invalid repository: ${repository}. Must be in the format owner/name.`
+    );
+  }
+  return { owner, repo };
+}
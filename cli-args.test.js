@@ -0,0 +1,199 @@
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseCliArgs } from "./cli-args";
+
+const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+describe("parseCliArgs", () => {
+  test("help", async () => {
+    expect(await parseCliArgs(["--help"], {})).toEqual({ help: true });
+  });
+
+  test("push flags", async () => {
+    const parsed = await parseCliArgs(
+      [
+        "--event",
+        "push",
+        "--ref",
+        "refs/heads/main",
+        "--sha",
+        sha,
+        "--repo",
+        "owner/repo",
+        "--default-branch",
+        "main",
+        "--commit-message",
+        "Commit message (#4)",
+        "--commit-timestamp",
+        "2020-01-01T00:00:00Z",
+        "--major-version",
+        "2",
+      ],
+      {}
+    );
+    expect(parsed.context).toEqual({
+      eventName: "push",
+      ref: "refs/heads/main",
+      sha,
+      repo: { owner: "owner", repo: "repo" },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message: "Commit message (#4)",
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    });
+    expect(parsed.args).toMatchObject({
+      majorVersion: 2,
+      versionSource: "github-releases",
+    });
+  });
+
+  test("pull request flags", async () => {
+    const parsed = await parseCliArgs(
+      [
+        "--event=pull_request",
+        "--ref=refs/pull/4/merge",
+        `--sha=${sha}`,
+        "--repo=owner/repo",
+        "--head-ref=upgrade-foo-major",
+        "--pr-labels=needs-release/patch, impact/no-changelog-required",
+      ],
+      {}
+    );
+    expect(parsed.context.payload).toEqual({
+      pull_request: {
+        head: { ref: "upgrade-foo-major" },
+        labels: [
+          { name: "needs-release/patch" },
+          { name: "impact/no-changelog-required" },
+        ],
+      },
+    });
+  });
+
+  test("defaults from environment and event payload", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "provider-version-"));
+    try {
+      const eventPath = join(dir, "event.json");
+      writeFileSync(
+        eventPath,
+        JSON.stringify({
+          repository: { full_name: "owner/repo", default_branch: "master" },
+          pull_request: { head: { ref: "v2" }, labels: [] },
+        })
+      );
+      const parsed = await parseCliArgs(["--default-branch", "main"], {
+        GITHUB_EVENT_NAME: "pull_request",
+        GITHUB_EVENT_PATH: eventPath,
+        GITHUB_REF: "refs/pull/4/merge",
+        GITHUB_SHA: sha,
+      });
+      expect(parsed.context).toEqual({
+        eventName: "pull_request",
+        ref: "refs/pull/4/merge",
+        sha,
+        repo: { owner: "owner", repo: "repo" },
+        payload: {
+          repository: { full_name: "owner/repo", default_branch: "main" },
+          pull_request: { head: { ref: "v2" }, labels: [] },
+        },
+      });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("detached HEAD without a ref", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "provider-version-"));
+    try {
+      const git = (...args) =>
+        execFileSync(
+          "git",
+          [
+            "-c",
+            "user.name=test",
+            "-c",
+            "user.email=test@example.com",
+            ...args,
+          ],
+          { cwd: dir }
+        );
+      git("init", "--quiet");
+      git("commit", "--allow-empty", "--quiet", "-m", "first");
+      git("checkout", "--quiet", "--detach");
+
+      await expect(
+        parseCliArgs(
+          ["--event=push", "--repo=owner/repo", `--workspace=${dir}`],
+          {}
+        )
+      ).rejects.toThrow(
+        "Missing ref: HEAD is detached, so use --ref or set GITHUB_REF"
+      );
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("missing event", async () => {
+    await expect(parseCliArgs(["--repo", "owner/repo"], {})).rejects.toThrow(
+      "Missing event"
+    );
+  });
+
+  test("simulate without an event", async () => {
+    const parsed = await parseCliArgs(
+      [
+        "--simulate",
+        "--repo=owner/repo",
+        `--sha=${sha}`,
+        "--ref=refs/heads/main",
+        "--default-branch=main",
+        "--head-ref=upgrade-foo-major",
+        "--pr-labels=needs-release/patch",
+      ],
+      {}
+    );
+    expect(parsed.simulate).toBe(true);
+    expect(parsed.context.payload).toEqual({
+      repository: { default_branch: "main" },
+      pull_request: {
+        head: { ref: "upgrade-foo-major" },
+        labels: [{ name: "needs-release/patch" }],
+      },
+    });
+  });
+
+  test("invalid repository", async () => {
+    await expect(
+      parseCliArgs(
+        ["--event", "schedule", "--sha", sha, "--ref", "refs/heads/main"],
+        { GITHUB_REPOSITORY: "owner" }
+      )
+    ).rejects.toThrow("Invalid repository: owner");
+  });
+
+  test("invalid language", async () => {
+    await expect(
+      parseCliArgs(["--event", "push", "--language", "rust"], {})
+    ).rejects.toThrow(
+      "Invalid language: rust. Must be one of python, dotnet, go, java, nodejs."
+    );
+  });
+
+  test("invalid commit timestamp", async () => {
+    await expect(
+      parseCliArgs(["--event", "push", "--commit-timestamp", "yesterday"], {})
+    ).rejects.toThrow(
+      "Invalid commit timestamp: yesterday. Must be an ISO timestamp e.g. 2020-01-01T00:00:00Z."
+    );
+  });
+
+  test("unknown flag", async () => {
+    await expect(parseCliArgs(["--nope"], {})).rejects.toThrow("--nope");
+  });
+});
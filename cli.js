@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+import { calculateVersion } from "./version";
+import { formatSimulationTable, simulateVersions } from "./simulate";
+import { parseCliArgs, usage } from "./cli-args";
+import { languageVersions } from "./languages";
+
+try {
+  const parsed = await parseCliArgs(process.argv.slice(2));
+  if (parsed.help) {
+    process.stdout.write(usage);
+  } else if (parsed.simulate) {
+    process.stdout.write(
+      formatSimulationTable(await simulateVersions(parsed.context, parsed.args))
+    );
+  } else {
+    const { version } = await calculateVersion(parsed.context, parsed.args);
+    console.log(
+      parsed.language === undefined
+        ? version
+        : languageVersions(version)[parsed.language]
+    );
+  }
+} catch (error) {
+  console.error(`provider-version: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,34 @@
+// Conventional Commits: https://www.conventionalcommits.org/en/v1.0.0/
+
+// e.g. "feat: add thing", "fix(aws)!: remove thing"
+const headerPattern = /^(?<type>[a-zA-Z]+)(\([^()\r\n]*\))?(?<breaking>!)?: \S/;
+const breakingFooterPattern = /^BREAKING[ -]CHANGE: /m;
+
+/**
+ * Determine the increment from commit messages using the Conventional Commits types.
+ * Breaking changes increment the major version, `feat` commits the minor version,
+ * and any other conventional commit the patch version.
+ * @param {string[]} messages Full commit messages.
+ * @returns {'major' | 'minor' | 'patch' | undefined} undefined if none of the messages are conventional commits.
+ */
+export function getConventionalIncrement(messages) {
+  let increment;
+  for (const message of messages) {
+    const match = message.trim().match(headerPattern);
+    if (match === null) {
+      continue;
+    }
+    if (
+      match.groups.breaking !== undefined ||
+      breakingFooterPattern.test(message)
+    ) {
+      return "major";
+    }
+    if (match.groups.type.toLowerCase() === "feat") {
+      increment = "minor";
+    } else if (increment === undefined) {
+      increment = "patch";
+    }
+  }
+  return increment;
+}
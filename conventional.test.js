@@ -0,0 +1,36 @@
+import { getConventionalIncrement } from "./conventional";
+
+describe("getConventionalIncrement", () => {
+  test.each([
+    { messages: [], expected: undefined },
+    { messages: ["Update README", "Merge branch 'main'"], expected: undefined },
+    { messages: ["docs: update README"], expected: "patch" },
+    { messages: ["fix: handle empty tags", "chore: tidy"], expected: "patch" },
+    {
+      messages: ["fix: handle empty tags", "feat: add input"],
+      expected: "minor",
+    },
+    { messages: ["feat(aws): add resource"], expected: "minor" },
+    { messages: ["FEAT: shouting"], expected: "minor" },
+    {
+      messages: ["fix: a", "feat!: drop node 16", "feat: b"],
+      expected: "major",
+    },
+    { messages: ["refactor(core)!: rename inputs"], expected: "major" },
+    {
+      messages: ["feat: rename inputs\n\nBREAKING CHANGE: inputs renamed"],
+      expected: "major",
+    },
+    {
+      messages: ["fix: rename inputs\n\nBREAKING-CHANGE: inputs renamed"],
+      expected: "major",
+    },
+    {
+      messages: ["Upgrade provider\n\nBREAKING CHANGE: not conventional"],
+      expected: undefined,
+    },
+    { messages: ["feat:missing space"], expected: undefined },
+  ])("$messages", ({ messages, expected }) => {
+    expect(getConventionalIncrement(messages)).toBe(expected);
+  });
+});
@@ -0,0 +1,131 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @param {import("./version").CalculateVersionArgs} args
+ * @returns {string} Directory of the repository checkout.
+ */
+export function getWorkspace(args) {
+  return args?.workspace ?? process.env.GITHUB_WORKSPACE ?? process.cwd();
+}
+
+/**
+ * Run a git command and return its trimmed standard output.
+ * @param {string[]} args
+ * @param {string} cwd Directory of the repository checkout.
+ * @returns {Promise<string>}
+ */
+export async function git(args, cwd) {
+  const { stdout } = await execFileAsync("git", args, { cwd });
+  return stdout.trim();
+}
+
+/**
+ * Whether the checkout only has part of the history, e.g. `actions/checkout` without `fetch-depth: 0`.
+ * @param {string} cwd Directory of the repository checkout.
+ * @returns {Promise<boolean>}
+ */
+export async function isShallowRepository(cwd) {
+  return (await git(["rev-parse", "--is-shallow-repository"], cwd)) === "true";
+}
+
+/**
+ * Find the nearest tag reachable from a commit by walking back through its history.
+ * @param {string} ref Commit to start from.
+ * @param {string} cwd Directory of the repository checkout.
+ * @param {string[]} patterns Glob patterns, one of which the tag name must match.
+ * @param {string[]} [excludePatterns] Glob patterns of tags to skip, even if they match `patterns`.
+ * @returns {Promise<string | undefined>} The tag name, or undefined if no matching tag is reachable.
+ */
+export async function describeNearestTag(
+  ref,
+  cwd,
+  patterns,
+  excludePatterns = []
+) {
+  try {
+    return await git(
+      [
+        "describe",
+        "--tags",
+        "--abbrev=0",
+        ...patterns.flatMap((pattern) => ["--match", pattern]),
+        ...excludePatterns.flatMap((pattern) => ["--exclude", pattern]),
+        ref,
+      ],
+      cwd
+    );
+  } catch (error) {
+    // git describe fails with "No names found, cannot describe anything." or
+    // "No tags can describe '<sha>'." when there's no matching tag.
+    if (/can(not)? describe/.test(error.stderr ?? "")) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the tags matching any of the patterns which are reachable from a commit.
+ * @param {string} cwd Directory of the repository checkout.
+ * @param {string[]} patterns Glob patterns, one of which the tag name must match.
+ * @param {string} [ref] Commit the tags must be reachable from. Lists all tags if not set.
+ * @returns {Promise<string[]>}
+ */
+export async function listTags(cwd, patterns, ref) {
+  const merged = ref === undefined ? [] : ["--merged", ref];
+  const output = await git(["tag", "--list", ...merged, ...patterns], cwd);
+  return output === "" ? [] : output.split("\n");
+}
+
+/**
+ * Whether a tag exists in the checkout.
+ * @param {string} cwd Directory of the repository checkout.
+ * @param {string} tag
+ * @returns {Promise<boolean>}
+ */
+export async function hasTag(cwd, tag) {
+  try {
+    await git(
+      ["rev-parse", "--verify", "--quiet", `refs/tags/${tag}^{commit}`],
+      cwd
+    );
+    return true;
+  } catch (error) {
+    // --quiet exits with 1 and no output when the tag doesn't exist.
+    if (error.code === 1) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count the commits reachable from a commit but not from a base tag.
+ * @param {string} ref Commit to start from.
+ * @param {string} cwd Directory of the repository checkout.
+ * @param {string} [tag] Tag to count from. All commits in the history are counted if not set.
+ * @returns {Promise<number>}
+ */
+export async function getCommitDistance(ref, cwd, tag) {
+  const range = tag === undefined ? ref : `${tag}..${ref}`;
+  const count = await git(["rev-list", "--count", range], cwd);
+  return parseInt(count, 10);
+}
+
+/**
+ * Get the full messages of the commits in a revision range, newest first.
+ * @param {string} cwd Directory of the repository checkout.
+ * @param {string} range Revision range e.g. `v1.0.0..HEAD`.
+ * @returns {Promise<string[]>}
+ */
+export async function getCommitMessages(cwd, range) {
+  // Separate messages with NUL as messages can contain blank lines.
+  const output = await git(["log", "--format=%B%x00", range], cwd);
+  return output
+    .split("\0")
+    .map((message) => message.trim())
+    .filter((message) => message !== "");
+}
@@ -0,0 +1,86 @@
+import { Octokit } from "octokit";
+import { cached } from "./cache";
+
+const DEFAULT_API_URL = "https://api.github.com";
+const DEFAULT_RETRIES = 3;
+
+/**
+ * Thrown when the GitHub API is needed but no token is configured.
+ * Lookups which fall back to a default on other errors must rethrow this, so the build fails clearly.
+ */
+export class GitHubConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GitHubConfigurationError";
+  }
+}
+
+/** @type {Map<string, Octokit>} */
+const clients = new Map();
+
+/**
+ * @param {import("./version").CalculateVersionArgs} args
+ * @returns {string} The GitHub API URL, defaulting to GITHUB_API_URL then github.com.
+ */
+function getApiUrl(args) {
+  return args?.githubApiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL;
+}
+
+/**
+ * @param {import("./version").CalculateVersionArgs} args
+ * @returns {string | undefined}
+ */
+function getToken(args) {
+  return args?.githubToken || process.env.GITHUB_TOKEN || undefined;
+}
+
+/**
+ * Whether a GitHub token is configured, for lookups which are optional without one.
+ * @param {import("./version").CalculateVersionArgs} args
+ * @returns {boolean}
+ */
+export function hasGitHubToken(args) {
+  return getToken(args) !== undefined;
+}
+
+/**
+ * Get the Octokit client for the configured token and API URL.
+ * Clients are shared between lookups, so the retry and throttling state is shared too.
+ * @param {import("./version").CalculateVersionArgs} args
+ * @returns {Octokit}
+ */
+export function getOctokit(args) {
+  const token = getToken(args);
+  if (!token) {
+    throw new GitHubConfigurationError(
+      "No GitHub token configured. Set the github-token input or the GITHUB_TOKEN environment variable."
+    );
+  }
+  const baseUrl = getApiUrl(args);
+  const retries = args?.lookupRetries ?? DEFAULT_RETRIES;
+  const key = `${baseUrl}\n${token}\n${retries}`;
+  let octokit = clients.get(key);
+  if (octokit === undefined) {
+    // Server errors are retried with an increasing delay: 1s, 4s, 9s, ...
+    octokit = new Octokit({ auth: token, baseUrl, retry: { retries } });
+    clients.set(key, octokit);
+  }
+  return octokit;
+}
+
+/**
+ * Make a GitHub API request through the cache, when a cache directory is configured.
+ * @template T
+ * @param {import("./version").CalculateVersionArgs} args
+ * @param {{ owner: string, repo: string }} repo Repository the request is for.
+ * @param {string} key Identifies the request within the repository, including the commit being built if the result changes over time.
+ * @param {(octokit: Octokit) => Promise<T>} request Returns the JSON-serializable response data.
+ * @returns {Promise<T>}
+ */
+export function cachedRequest(args, repo, key, request) {
+  return cached(
+    args?.cacheDir,
+    `${getApiUrl(args)}/${repo.owner}/${repo.repo}/${key}`,
+    async () => request(getOctokit(args))
+  );
+}
@@ -0,0 +1,102 @@
+import {
+  GitHubConfigurationError,
+  cachedRequest,
+  getOctokit,
+  hasGitHubToken,
+} from "./github";
+
+describe("getOctokit", () => {
+  let env;
+  beforeEach(() => {
+    env = { ...process.env };
+  });
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test("no token", () => {
+    delete process.env.GITHUB_TOKEN;
+    expect(() => getOctokit({})).toThrow(GitHubConfigurationError);
+    expect(() => getOctokit({})).toThrow(
+      "No GitHub token configured. Set the github-token input or the GITHUB_TOKEN environment variable."
+    );
+  });
+
+  test("token from args", () => {
+    delete process.env.GITHUB_TOKEN;
+    expect(getOctokit({ githubToken: "token" })).toBeDefined();
+  });
+
+  test("shared between lookups", () => {
+    expect(getOctokit({})).toBe(getOctokit({}));
+    expect(getOctokit({ githubToken: "other" })).not.toBe(getOctokit({}));
+  });
+});
+
+describe("hasGitHubToken", () => {
+  let env;
+  beforeEach(() => {
+    env = { ...process.env };
+  });
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test("from the environment", () => {
+    expect(hasGitHubToken({})).toBe(true);
+  });
+
+  test("from args", () => {
+    delete process.env.GITHUB_TOKEN;
+    expect(hasGitHubToken({ githubToken: "token" })).toBe(true);
+  });
+
+  test("not configured", () => {
+    delete process.env.GITHUB_TOKEN;
+    expect(hasGitHubToken({ githubToken: "" })).toBe(false);
+  });
+});
+
+describe("cachedRequest", () => {
+  let env;
+  beforeEach(() => {
+    env = { ...process.env };
+    fetch.resetMocks();
+    fetch.mockResponse(async () => ({
+      body: JSON.stringify({ tag_name: "v1.2.3" }),
+      headers: { "content-type": "application/json" },
+    }));
+  });
+  afterEach(() => {
+    process.env = env;
+  });
+
+  const repo = { owner: "owner", repo: "repo" };
+  function getLatestRelease(octokit) {
+    return octokit.rest.repos
+      .getLatestRelease(repo)
+      .then((response) => response.data.tag_name);
+  }
+
+  test("api url from args", async () => {
+    expect(
+      await cachedRequest(
+        { githubApiUrl: "https://github.example.com/api/v3" },
+        repo,
+        "releases/latest",
+        getLatestRelease
+      )
+    ).toBe("v1.2.3");
+    expect(fetch.mock.calls[0][0]).toBe(
+      "https://github.example.com/api/v3/repos/owner/repo/releases/latest"
+    );
+  });
+
+  test("api url from environment", async () => {
+    process.env.GITHUB_API_URL = "https://ghes.example.com/api/v3";
+    await cachedRequest({}, repo, "releases/latest", getLatestRelease);
+    expect(fetch.mock.calls[0][0]).toBe(
+      "https://ghes.example.com/api/v3/repos/owner/repo/releases/latest"
+    );
+  });
+});
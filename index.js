@@ -1,40 +1,148 @@
 import {
   setFailed,
   getInput,
+  getBooleanInput,
   exportVariable,
   setOutput,
   info,
+  summary,
+  warning,
 } from "@actions/core";
 import * as github from "@actions/github";
+import { SemVer } from "semver";
 import { calculateVersion } from "./version";
+import { languageVersions } from "./languages";
+import {
+  parseBranchPatterns,
+  parseCacheDir,
+  parseDefaultIncrement,
+  parseGitHubApiUrl,
+  parseLabelMap,
+  parseLookupRetries,
+  parseMajorVersion,
+  parseOnLookupFailure,
+  parseOrderingSource,
+  parsePrereleaseFormat,
+  parsePrereleaseLabel,
+  parseRegistry,
+  parseReleaseSelection,
+  parseTagPrefix,
+  parseUpgradeBranchMap,
+  parseVersionBranchPatterns,
+  parseVersionGuard,
+  parseVersionSource,
+} from "./inputs";
 
 try {
   const majorVersion = parseMajorVersion(getInput("major-version"));
-  const version = await calculateVersion(github.context, { majorVersion });
-  info(`Calculated version: ${version}`);
+  const versionSource = parseVersionSource(getInput("version-source"));
+  const prereleaseLabel = parsePrereleaseLabel(getInput("prerelease-label"));
+  const prereleaseFormat = parsePrereleaseFormat(getInput("prerelease-format"));
+  /** @type {import("./version").ExplanationStep[]} */
+  const explanation = [];
+  const result = await calculateVersion(github.context, {
+    majorVersion,
+    versionSource,
+    versionFile: getInput("version-file") || undefined,
+    registry: parseRegistry(
+      getInput("registry"),
+      getInput("registry-package"),
+      getInput("registry-url")
+    ),
+    prereleaseLabel,
+    prereleaseFormat,
+    orderingSource: parseOrderingSource(getInput("ordering-source")),
+    conventionalCommits: getBooleanInput("conventional-commits"),
+    defaultIncrement: parseDefaultIncrement(getInput("default-increment")),
+    labelMap: parseLabelMap(getInput("label-map")),
+    upgradeBranchMap: parseUpgradeBranchMap(getInput("upgrade-branch-map")),
+    tagPrefix: parseTagPrefix(getInput("tag-prefix")),
+    releaseSelection: parseReleaseSelection(getInput("release-selection")),
+    includeDraftReleases: getBooleanInput("include-draft-releases"),
+    includePrereleases: getBooleanInput("include-prereleases"),
+    releaseMajorLine: parseMajorVersion(getInput("release-major-line")),
+    cacheDir: parseCacheDir(getBooleanInput("cache"), getInput("cache-dir")),
+    githubToken: getInput("github-token"),
+    githubApiUrl: parseGitHubApiUrl(getInput("github-api-url")),
+    onLookupFailure: parseOnLookupFailure(getInput("on-lookup-failure")),
+    lookupRetries: parseLookupRetries(getInput("lookup-retries")),
+    versionGuard: parseVersionGuard(getInput("version-guard")),
+    versionGuardTags: getBooleanInput("version-guard-tags"),
+    versionBranchPatterns: parseVersionBranchPatterns(
+      getInput("version-branch-patterns")
+    ),
+    validateTags: getBooleanInput("validate-tags"),
+    prereleaseTagBranches: parseBranchPatterns(
+      getInput("prerelease-tag-branches")
+    ),
+    explanation,
+  });
+  const { version } = result;
+  info(`Calculated version: ${version} (${result.reason})`);
   setOutput("version", version);
+  const parsed = new SemVer(version);
+  setOutput("major", parsed.major);
+  setOutput("minor", parsed.minor);
+  setOutput("patch", parsed.patch);
+  setOutput("prerelease", parsed.prerelease.join("."));
+  setOutput("build-metadata", parsed.build.join("."));
+  setOutput("is-prerelease", parsed.prerelease.length > 0);
+  setOutput("previous-version", result.previousVersion ?? "");
+  setOutput("increment", result.increment ?? "");
+  setOutput("reason", result.reason);
+  for (const [language, languageVersion] of Object.entries(
+    languageVersions(version)
+  )) {
+    setOutput(`${language}-version`, languageVersion);
+  }
   const envVar = getInput("set-env");
   if (envVar !== "") {
     exportVariable(envVar, version);
   }
+  if (getBooleanInput("explanation-output")) {
+    setOutput("explanation", JSON.stringify(explanation));
+  }
+  if (getBooleanInput("job-summary")) {
+    await writeExplanationSummary(version, explanation);
+  }
 } catch (error) {
   setFailed(error);
 }
 
 /**
- *
- * @param {string} majorVersion
- * @returns {number | undefined}
+ * Write the decisions which chose the version to the job summary as a table.
+ * @param {string} version
+ * @param {import("./version").ExplanationStep[]} explanation
  */
-function parseMajorVersion(majorVersion) {
-  if (majorVersion === "") {
-    return undefined;
-  }
-  const parsed = parseInt(majorVersion, 10);
-  if (isNaN(parsed)) {
-    throw new Error(
-      `Invalid major version: ${majorVersion}. Must be an integer.`
-    );
+async function writeExplanationSummary(version, explanation) {
+  try {
+    await summary
+      .addHeading(`Provider version ${escapeHtml(version)}`, 3)
+      .addTable([
+        [
+          { data: "Step", header: true },
+          { data: "Decision", header: true },
+        ],
+        ...explanation.map(({ step, decision }) => [
+          escapeHtml(step),
+          escapeHtml(decision),
+        ]),
+      ])
+      .write();
+  } catch (error) {
+    // Summaries aren't available outside of GitHub-hosted workflows e.g. when testing with act.
+    warning(`Failed to write the job summary: ${error.message}`);
   }
-  return parsed;
+}
+
+/**
+ * Branch names and labels can contain characters which are HTML in the summary.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
 }
@@ -0,0 +1,392 @@
+// Parsers shared by the action inputs and the CLI flags.
+// Each parser accepts the raw string value, where "" means not set.
+
+import { join } from "node:path";
+import {
+  DEFAULT_LABEL_MAP,
+  DEFAULT_PRERELEASE_FORMAT,
+  DEFAULT_UPGRADE_BRANCH_MAP,
+  DEFAULT_VERSION_BRANCH_PATTERNS,
+} from "./version";
+import { branchPatternToRegExp } from "./patterns";
+import { DEFAULT_REGISTRY_URLS } from "./sources";
+
+const INCREMENTS = ["major", "minor", "patch"];
+
+/**
+ *
+ * @param {string} majorVersion
+ * @returns {number | undefined}
+ */
+export function parseMajorVersion(majorVersion) {
+  if (majorVersion === "") {
+    return undefined;
+  }
+  const parsed = parseInt(majorVersion, 10);
+  if (isNaN(parsed)) {
+    throw new Error(
+      `Invalid major version: ${majorVersion}. Must be an integer.`
+    );
+  }
+  return parsed;
+}
+
+/**
+ *
+ * @param {string} versionSource
+ * @returns {"github-releases" | "git-tags" | "file" | "registry"}
+ */
+export function parseVersionSource(versionSource) {
+  if (versionSource === "") {
+    return "github-releases";
+  }
+  if (
+    versionSource !== "github-releases" &&
+    versionSource !== "git-tags" &&
+    versionSource !== "file" &&
+    versionSource !== "registry"
+  ) {
+    throw new Error(
+      `Invalid version source: ${versionSource}. Must be "github-releases", "git-tags", "file" or "registry".`
+    );
+  }
+  return versionSource;
+}
+
+/**
+ * Parse the package registry used by the "registry" version source.
+ * @param {string} registry Type of registry: npm, pypi or go.
+ * @param {string} packageName npm package, PyPI project or Go module path.
+ * @param {string} registryUrl Base URL of the registry. Defaults to the public registry.
+ * @returns {import("./sources").Registry | undefined}
+ */
+export function parseRegistry(registry, packageName, registryUrl) {
+  if (registry === "") {
+    return undefined;
+  }
+  if (registry !== "npm" && registry !== "pypi" && registry !== "go") {
+    throw new Error(
+      `Invalid registry: ${registry}. Must be "npm", "pypi" or "go".`
+    );
+  }
+  if (packageName.trim() === "") {
+    throw new Error(`Missing registry package for the ${registry} registry.`);
+  }
+  return {
+    type: registry,
+    packageName: packageName.trim(),
+    url:
+      parseHttpUrl(registryUrl, "registry URL") ??
+      DEFAULT_REGISTRY_URLS[registry],
+  };
+}
+
+/**
+ *
+ * @param {string} releaseSelection
+ * @returns {"latest-flag" | "highest-semver"}
+ */
+export function parseReleaseSelection(releaseSelection) {
+  if (releaseSelection === "") {
+    return "latest-flag";
+  }
+  if (
+    releaseSelection !== "latest-flag" &&
+    releaseSelection !== "highest-semver"
+  ) {
+    throw new Error(
+      `Invalid release selection: ${releaseSelection}. Must be "latest-flag" or "highest-semver".`
+    );
+  }
+  return releaseSelection;
+}
+
+/**
+ *
+ * @param {string} prereleaseLabel
+ * @returns {string}
+ */
+export function parsePrereleaseLabel(prereleaseLabel) {
+  if (prereleaseLabel === "") {
+    return "alpha";
+  }
+  if (!/^[0-9A-Za-z-]+$/.test(prereleaseLabel)) {
+    throw new Error(
+      `Invalid prerelease label: ${prereleaseLabel}. Must only contain alphanumerics and hyphens.`
+    );
+  }
+  return prereleaseLabel;
+}
+
+/**
+ *
+ * @param {string} prereleaseFormat
+ * @returns {string}
+ */
+export function parsePrereleaseFormat(prereleaseFormat) {
+  if (prereleaseFormat === "") {
+    return DEFAULT_PRERELEASE_FORMAT;
+  }
+  return prereleaseFormat;
+}
+
+/**
+ *
+ * @param {string} orderingSource
+ * @returns {"timestamp" | "commit-distance" | "run-number"}
+ */
+export function parseOrderingSource(orderingSource) {
+  if (orderingSource === "") {
+    return "timestamp";
+  }
+  if (
+    !["timestamp", "commit-distance", "run-number"].includes(orderingSource)
+  ) {
+    throw new Error(
+      `Invalid ordering source: ${orderingSource}. Must be "timestamp", "commit-distance" or "run-number".`
+    );
+  }
+  return orderingSource;
+}
+
+/**
+ *
+ * @param {string} defaultIncrement
+ * @returns {"major" | "minor" | "patch" | undefined}
+ */
+export function parseDefaultIncrement(defaultIncrement) {
+  if (defaultIncrement === "") {
+    return undefined;
+  }
+  return parseIncrement(defaultIncrement);
+}
+
+/**
+ * Parse label to increment mappings e.g. `release/major=major`, separated by commas or new lines.
+ * @param {string} labelMap
+ * @returns {Map<string, "major" | "minor" | "patch">}
+ */
+export function parseLabelMap(labelMap) {
+  if (labelMap.trim() === "") {
+    return DEFAULT_LABEL_MAP;
+  }
+  return parseIncrementMap(labelMap, /[,\n]/, "label map", "label");
+}
+
+/**
+ * Parse branch pattern to increment mappings e.g. `upgrade-*-minor=minor`, separated by new lines.
+ * Patterns are globs, or regular expressions wrapped in `/`.
+ * @param {string} upgradeBranchMap
+ * @returns {Map<string, "major" | "minor" | "patch">}
+ */
+export function parseUpgradeBranchMap(upgradeBranchMap) {
+  if (upgradeBranchMap.trim() === "") {
+    return DEFAULT_UPGRADE_BRANCH_MAP;
+  }
+  // Only split on new lines, as regular expressions can contain commas.
+  const parsed = parseIncrementMap(
+    upgradeBranchMap,
+    /\n/,
+    "upgrade branch map",
+    "pattern"
+  );
+  for (const pattern of parsed.keys()) {
+    try {
+      branchPatternToRegExp(pattern);
+    } catch (error) {
+      throw new Error(
+        `Invalid upgrade branch pattern: ${pattern}. ${error.message}`
+      );
+    }
+  }
+  return parsed;
+}
+
+/**
+ * @param {string} value
+ * @param {RegExp} separator Separates the entries.
+ * @param {string} name Name of the input, for errors.
+ * @param {string} key Name of the key in each entry, for errors.
+ * @returns {Map<string, "major" | "minor" | "patch">}
+ */
+function parseIncrementMap(value, separator, name, key) {
+  const parsed = new Map();
+  for (const entry of value.split(separator)) {
+    if (entry.trim() === "") {
+      continue;
+    }
+    // Split on the last "=" in case the key contains one.
+    const index = entry.lastIndexOf("=");
+    const entryKey = entry.slice(0, index).trim();
+    if (index === -1 || entryKey === "") {
+      throw new Error(
+        `Invalid ${name} entry: ${entry.trim()}. Must be in the format ${key}=increment.`
+      );
+    }
+    parsed.set(entryKey, parseIncrement(entry.slice(index + 1).trim()));
+  }
+  return parsed;
+}
+
+/**
+ * Tag prefix for monorepos e.g. `sdk/`. Glob characters aren't allowed as the prefix is used in tag patterns.
+ * @param {string} tagPrefix
+ * @returns {string}
+ */
+export function parseTagPrefix(tagPrefix) {
+  if (/[\s*?[\]\\]/.test(tagPrefix)) {
+    throw new Error(
+      `Invalid tag prefix: ${tagPrefix}. Must not contain whitespace or glob characters.`
+    );
+  }
+  return tagPrefix;
+}
+
+/**
+ * Cache directory for GitHub API responses, defaulting to the runner's temporary directory.
+ * @param {boolean} enabled
+ * @param {string} cacheDir
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {string | undefined} undefined if caching is disabled.
+ */
+export function parseCacheDir(enabled, cacheDir, env = process.env) {
+  if (!enabled) {
+    return undefined;
+  }
+  if (cacheDir !== "") {
+    return cacheDir;
+  }
+  if (!env.RUNNER_TEMP) {
+    return undefined;
+  }
+  return join(env.RUNNER_TEMP, "provider-version-cache");
+}
+
+/**
+ *
+ * @param {string} githubApiUrl
+ * @returns {string | undefined}
+ */
+export function parseGitHubApiUrl(githubApiUrl) {
+  return parseHttpUrl(githubApiUrl, "GitHub API URL");
+}
+
+/**
+ * @param {string} value
+ * @param {string} name Name of the URL, for errors.
+ * @returns {string | undefined} Without a trailing slash, as paths are appended to it.
+ */
+function parseHttpUrl(value, name) {
+  if (value === "") {
+    return undefined;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    url = undefined;
+  }
+  if (url?.protocol !== "https:" && url?.protocol !== "http:") {
+    throw new Error(`Invalid ${name}: ${value}. Must be an http or https URL.`);
+  }
+  return value.replace(/\/+$/, "");
+}
+
+/**
+ *
+ * @param {string} onLookupFailure
+ * @returns {"fail" | "warn" | "fallback"}
+ */
+export function parseOnLookupFailure(onLookupFailure) {
+  if (onLookupFailure === "") {
+    return "warn";
+  }
+  if (!["fail", "warn", "fallback"].includes(onLookupFailure)) {
+    throw new Error(
+      `Invalid on-lookup-failure: ${onLookupFailure}. Must be "fail", "warn" or "fallback".`
+    );
+  }
+  return onLookupFailure;
+}
+
+/**
+ *
+ * @param {string} lookupRetries
+ * @returns {number | undefined}
+ */
+export function parseLookupRetries(lookupRetries) {
+  if (lookupRetries === "") {
+    return undefined;
+  }
+  if (!/^\d+$/.test(lookupRetries)) {
+    throw new Error(
+      `Invalid lookup retries: ${lookupRetries}. Must be a non-negative integer.`
+    );
+  }
+  return parseInt(lookupRetries, 10);
+}
+
+/**
+ *
+ * @param {string} versionGuard
+ * @returns {"off" | "warn" | "fail"}
+ */
+export function parseVersionGuard(versionGuard) {
+  if (versionGuard === "") {
+    return "off";
+  }
+  if (!["off", "warn", "fail"].includes(versionGuard)) {
+    throw new Error(
+      `Invalid version guard: ${versionGuard}. Must be "off", "warn" or "fail".`
+    );
+  }
+  return versionGuard;
+}
+
+/**
+ * Parse a list of branch patterns separated by commas or new lines.
+ * @param {string} branches
+ * @returns {string[]}
+ */
+export function parseBranchPatterns(branches) {
+  return branches
+    .split(/[,\n]/)
+    .map((branch) => branch.trim())
+    .filter((branch) => branch !== "");
+}
+
+/**
+ * Parse version branch patterns e.g. `release-{major}.x`, separated by commas or new lines.
+ * @param {string} versionBranchPatterns
+ * @returns {string[]}
+ */
+export function parseVersionBranchPatterns(versionBranchPatterns) {
+  const patterns = parseBranchPatterns(versionBranchPatterns);
+  if (patterns.length === 0) {
+    return DEFAULT_VERSION_BRANCH_PATTERNS;
+  }
+  for (const pattern of patterns) {
+    const tokens = pattern.match(/\{[^{}]*\}/g) ?? [];
+    const majors = tokens.filter((token) => token === "{major}").length;
+    const minors = tokens.filter((token) => token === "{minor}").length;
+    if (majors !== 1 || minors > 1 || majors + minors !== tokens.length) {
+      throw new Error(
+        `Invalid version branch pattern: ${pattern}. Must contain {major} once, and optionally {minor}.`
+      );
+    }
+  }
+  return patterns;
+}
+
+/**
+ * @param {string} increment
+ * @returns {"major" | "minor" | "patch"}
+ */
+function parseIncrement(increment) {
+  if (!INCREMENTS.includes(increment)) {
+    throw new Error(
+      `Invalid increment: ${increment}. Must be one of ${INCREMENTS.join(", ")}.`
+    );
+  }
+  return increment;
+}
@@ -0,0 +1,341 @@
+import {
+  parseBranchPatterns,
+  parseCacheDir,
+  parseDefaultIncrement,
+  parseGitHubApiUrl,
+  parseLabelMap,
+  parseLookupRetries,
+  parseOnLookupFailure,
+  parseOrderingSource,
+  parseRegistry,
+  parseReleaseSelection,
+  parseTagPrefix,
+  parseUpgradeBranchMap,
+  parseVersionBranchPatterns,
+  parseVersionGuard,
+  parseVersionSource,
+} from "./inputs";
+import {
+  DEFAULT_LABEL_MAP,
+  DEFAULT_UPGRADE_BRANCH_MAP,
+  DEFAULT_VERSION_BRANCH_PATTERNS,
+} from "./version";
+
+describe("parseDefaultIncrement", () => {
+  test("not set", () => {
+    expect(parseDefaultIncrement("")).toBeUndefined();
+  });
+
+  test("valid", () => {
+    expect(parseDefaultIncrement("patch")).toBe("patch");
+  });
+
+  test("invalid", () => {
+    expect(() => parseDefaultIncrement("prerelease")).toThrow(
+      "Invalid increment: prerelease. Must be one of major, minor, patch."
+    );
+  });
+});
+
+describe("parseLabelMap", () => {
+  test("not set", () => {
+    expect(parseLabelMap("")).toBe(DEFAULT_LABEL_MAP);
+  });
+
+  test("new lines", () => {
+    expect(
+      parseLabelMap("release/major=major\nrelease/minor = minor\n\n")
+    ).toEqual(
+      new Map([
+        ["release/major", "major"],
+        ["release/minor", "minor"],
+      ])
+    );
+  });
+
+  test("commas", () => {
+    expect(parseLabelMap("semver:patch=patch, a=b=major")).toEqual(
+      new Map([
+        ["semver:patch", "patch"],
+        ["a=b", "major"],
+      ])
+    );
+  });
+
+  test("missing increment", () => {
+    expect(() => parseLabelMap("release/major")).toThrow(
+      "Invalid label map entry: release/major. Must be in the format label=increment."
+    );
+  });
+
+  test("invalid increment", () => {
+    expect(() => parseLabelMap("release/major=huge")).toThrow(
+      "Invalid increment: huge."
+    );
+  });
+});
+
+describe("parseUpgradeBranchMap", () => {
+  test("not set", () => {
+    expect(parseUpgradeBranchMap("")).toBe(DEFAULT_UPGRADE_BRANCH_MAP);
+  });
+
+  test("globs and regular expressions", () => {
+    expect(
+      parseUpgradeBranchMap("upgrade-*-minor=minor\n/^deps-{1,2}/ = patch\n")
+    ).toEqual(
+      new Map([
+        ["upgrade-*-minor", "minor"],
+        ["/^deps-{1,2}/", "patch"],
+      ])
+    );
+  });
+
+  test("missing increment", () => {
+    expect(() => parseUpgradeBranchMap("upgrade-*")).toThrow(
+      "Invalid upgrade branch map entry: upgrade-*. Must be in the format pattern=increment."
+    );
+  });
+
+  test("invalid regular expression", () => {
+    expect(() => parseUpgradeBranchMap("/upgrade-(/=major")).toThrow(
+      "Invalid upgrade branch pattern: /upgrade-(/."
+    );
+  });
+});
+
+describe("parseTagPrefix", () => {
+  test("not set", () => {
+    expect(parseTagPrefix("")).toBe("");
+  });
+
+  test("valid", () => {
+    expect(parseTagPrefix("sdk/")).toBe("sdk/");
+  });
+
+  test("glob characters", () => {
+    expect(() => parseTagPrefix("sdk-*")).toThrow(
+      "Invalid tag prefix: sdk-*. Must not contain whitespace or glob characters."
+    );
+  });
+});
+
+describe("parseReleaseSelection", () => {
+  test("not set", () => {
+    expect(parseReleaseSelection("")).toBe("latest-flag");
+  });
+
+  test("valid", () => {
+    expect(parseReleaseSelection("highest-semver")).toBe("highest-semver");
+  });
+
+  test("invalid", () => {
+    expect(() => parseReleaseSelection("newest")).toThrow(
+      'Invalid release selection: newest. Must be "latest-flag" or "highest-semver".'
+    );
+  });
+});
+
+describe("parseCacheDir", () => {
+  test("disabled", () => {
+    expect(parseCacheDir(false, "", { RUNNER_TEMP: "/tmp" })).toBeUndefined();
+  });
+
+  test("runner temp", () => {
+    expect(parseCacheDir(true, "", { RUNNER_TEMP: "/tmp" })).toBe(
+      "/tmp/provider-version-cache"
+    );
+  });
+
+  test("custom directory", () => {
+    expect(parseCacheDir(true, "/cache", { RUNNER_TEMP: "/tmp" })).toBe(
+      "/cache"
+    );
+  });
+
+  test("outside a runner", () => {
+    expect(parseCacheDir(true, "", {})).toBeUndefined();
+  });
+});
+
+describe("parseGitHubApiUrl", () => {
+  test("not set", () => {
+    expect(parseGitHubApiUrl("")).toBeUndefined();
+  });
+
+  test("trailing slash", () => {
+    expect(parseGitHubApiUrl("https://github.example.com/api/v3/")).toBe(
+      "https://github.example.com/api/v3"
+    );
+  });
+
+  test("invalid", () => {
+    expect(() => parseGitHubApiUrl("github.example.com")).toThrow(
+      "Invalid GitHub API URL: github.example.com. Must be an http or https URL."
+    );
+  });
+});
+
+describe("parseVersionSource", () => {
+  test("defaults to github-releases", () => {
+    expect(parseVersionSource("")).toBe("github-releases");
+  });
+
+  test.each(["github-releases", "git-tags", "file", "registry"])(
+    "%s",
+    (source) => {
+      expect(parseVersionSource(source)).toBe(source);
+    }
+  );
+
+  test("invalid", () => {
+    expect(() => parseVersionSource("releases")).toThrow(
+      'Invalid version source: releases. Must be "github-releases", "git-tags", "file" or "registry".'
+    );
+  });
+});
+
+describe("parseRegistry", () => {
+  test("not set", () => {
+    expect(parseRegistry("", "", "")).toBeUndefined();
+  });
+
+  test("default URL", () => {
+    expect(parseRegistry("npm", "@pulumi/aws", "")).toEqual({
+      type: "npm",
+      packageName: "@pulumi/aws",
+      url: "https://registry.npmjs.org",
+    });
+    expect(parseRegistry("pypi", "pulumi-aws", "").url).toBe(
+      "https://pypi.org"
+    );
+    expect(parseRegistry("go", "github.com/pulumi/pulumi-aws", "").url).toBe(
+      "https://proxy.golang.org"
+    );
+  });
+
+  test("custom URL", () => {
+    expect(
+      parseRegistry("npm", "@pulumi/aws", "http://localhost:4873/").url
+    ).toBe("http://localhost:4873");
+  });
+
+  test("invalid registry", () => {
+    expect(() => parseRegistry("maven", "aws", "")).toThrow(
+      'Invalid registry: maven. Must be "npm", "pypi" or "go".'
+    );
+  });
+
+  test("missing package", () => {
+    expect(() => parseRegistry("npm", " ", "")).toThrow(
+      "Missing registry package for the npm registry."
+    );
+  });
+
+  test("invalid URL", () => {
+    expect(() => parseRegistry("npm", "@pulumi/aws", "localhost")).toThrow(
+      "Invalid registry URL: localhost. Must be an http or https URL."
+    );
+  });
+});
+
+describe("parseOrderingSource", () => {
+  test("defaults to timestamp", () => {
+    expect(parseOrderingSource("")).toBe("timestamp");
+  });
+
+  test.each(["timestamp", "commit-distance", "run-number"])("%s", (source) => {
+    expect(parseOrderingSource(source)).toBe(source);
+  });
+
+  test("invalid", () => {
+    expect(() => parseOrderingSource("sha")).toThrow(
+      'Invalid ordering source: sha. Must be "timestamp", "commit-distance" or "run-number".'
+    );
+  });
+});
+
+describe("parseOnLookupFailure", () => {
+  test("not set", () => {
+    expect(parseOnLookupFailure("")).toBe("warn");
+  });
+
+  test("valid", () => {
+    expect(parseOnLookupFailure("fail")).toBe("fail");
+  });
+
+  test("invalid", () => {
+    expect(() => parseOnLookupFailure("ignore")).toThrow(
+      'Invalid on-lookup-failure: ignore. Must be "fail", "warn" or "fallback".'
+    );
+  });
+});
+
+describe("parseLookupRetries", () => {
+  test("not set", () => {
+    expect(parseLookupRetries("")).toBeUndefined();
+  });
+
+  test("valid", () => {
+    expect(parseLookupRetries("0")).toBe(0);
+  });
+
+  test("invalid", () => {
+    expect(() => parseLookupRetries("-1")).toThrow(
+      "Invalid lookup retries: -1. Must be a non-negative integer."
+    );
+  });
+});
+
+describe("parseVersionGuard", () => {
+  test("not set", () => {
+    expect(parseVersionGuard("")).toBe("off");
+  });
+
+  test("valid", () => {
+    expect(parseVersionGuard("fail")).toBe("fail");
+  });
+
+  test("invalid", () => {
+    expect(() => parseVersionGuard("strict")).toThrow(
+      'Invalid version guard: strict. Must be "off", "warn" or "fail".'
+    );
+  });
+});
+
+describe("parseBranchPatterns", () => {
+  test("not set", () => {
+    expect(parseBranchPatterns("")).toEqual([]);
+  });
+
+  test("commas and new lines", () => {
+    expect(parseBranchPatterns("main, release-*\nv5\n")).toEqual([
+      "main",
+      "release-*",
+      "v5",
+    ]);
+  });
+});
+
+describe("parseVersionBranchPatterns", () => {
+  test("not set", () => {
+    expect(parseVersionBranchPatterns("")).toBe(
+      DEFAULT_VERSION_BRANCH_PATTERNS
+    );
+  });
+
+  test("valid", () => {
+    expect(
+      parseVersionBranchPatterns("release-{major}.x\nrelease/v{major}.{minor}")
+    ).toEqual(["release-{major}.x", "release/v{major}.{minor}"]);
+  });
+
+  test.each(["release-{minor}", "v{major}.{major}", "v{major}-{patch}"])(
+    "invalid %s",
+    (pattern) => {
+      expect(() => parseVersionBranchPatterns(pattern)).toThrow(
+        `Invalid version branch pattern: ${pattern}. Must contain {major} once, and optionally {minor}.`
+      );
+    }
+  );
+});
@@ -1,3 +1,7 @@
 import fetchMock from "jest-fetch-mock";
 
 fetchMock.enableMocks();
+
+// GitHub API requests are mocked, but still need a token to be configured.
+process.env.GITHUB_TOKEN = "test-token";
+delete process.env.GITHUB_API_URL;
@@ -0,0 +1,91 @@
+import { SemVer } from "semver";
+
+/**
+ * @typedef {object} LanguageVersions
+ * @property {string} python PEP 440 version which can be uploaded to PyPI.
+ * @property {string} dotnet NuGet package version.
+ * @property {string} go Go module version tag.
+ * @property {string} java Maven version.
+ * @property {string} nodejs npm package version.
+ */
+
+/** Languages supported by `languageVersions`, in output order. */
+export const LANGUAGES = ["python", "dotnet", "go", "java", "nodejs"];
+
+/**
+ * Convert a calculated semver version into the version formats used by each Pulumi SDK ecosystem.
+ * @param {string} version Valid semver version e.g. `1.3.0-alpha.1577836800+699a10d`.
+ * @returns {LanguageVersions}
+ */
+export function languageVersions(version) {
+  const parsed = new SemVer(version);
+  // Build metadata is dropped from all package versions: PyPI rejects local versions,
+  // Go only allows "+incompatible", and NuGet and npm ignore it, so it can't distinguish packages.
+  const withoutBuild = parsed.version;
+  return {
+    python: pythonVersion(parsed),
+    dotnet: withoutBuild,
+    go: `v${withoutBuild}`,
+    java:
+      parsed.prerelease.length > 0
+        ? `${parsed.major}.${parsed.minor}.${parsed.patch}-SNAPSHOT`
+        : withoutBuild,
+    nodejs: withoutBuild,
+  };
+}
+
+/**
+ * Maps the first pre-release identifier to a PEP 440 pre-release segment.
+ * Labels which PEP 440 has no equivalent for become development releases.
+ * @param {string} label
+ * @returns {string}
+ */
+function pythonPrereleaseSegment(label) {
+  switch (label.toLowerCase()) {
+    case "alpha":
+    case "a":
+      return "a";
+    case "beta":
+    case "b":
+      return "b";
+    case "rc":
+    case "c":
+    case "pre":
+    case "preview":
+      return "rc";
+    default:
+      return ".dev";
+  }
+}
+
+/**
+ * e.g. `1.3.0-alpha.1577836800+699a10d` becomes `1.3.0a1577836800`.
+ * Throws if identifiers after the label would be dropped without a number to keep builds distinct,
+ * e.g. `1.3.0-alpha.g699a10d`, as every build would get the same version.
+ * @param {SemVer} version
+ * @returns {string}
+ */
+function pythonVersion(version) {
+  const release = `${version.major}.${version.minor}.${version.patch}`;
+  if (version.prerelease.length === 0) {
+    return release;
+  }
+  const [label, ...rest] = version.prerelease;
+  if (typeof label === "number") {
+    // e.g. 1.0.0-1
+    return `${release}.dev${label}`;
+  }
+  // A number attached to the label e.g. alpha1 or rc2.
+  const attached = /^([a-z]+)(\d+)$/i.exec(label);
+  if (attached !== null) {
+    return `${release}${pythonPrereleaseSegment(attached[1])}${parseInt(attached[2], 10)}`;
+  }
+  // Use the first number after the label e.g. the timestamp or run number.
+  const number = rest.find((identifier) => typeof identifier === "number");
+  if (number === undefined && rest.length > 0) {
+    throw new Error(
+      `Can't convert ${version.version} to a Python version, as its pre-release has no number to keep builds distinct. Include a number such as {order} in prerelease-format.`
+    );
+  }
+  return `${release}${pythonPrereleaseSegment(label)}${number ?? 0}`;
+}
@@ -0,0 +1,96 @@
+import { languageVersions } from "./languages";
+
+describe("languageVersions", () => {
+  test.each([
+    {
+      version: "1.2.3",
+      python: "1.2.3",
+      dotnet: "1.2.3",
+      go: "v1.2.3",
+      java: "1.2.3",
+      nodejs: "1.2.3",
+    },
+    {
+      version: "1.3.0-alpha.1577836800",
+      python: "1.3.0a1577836800",
+      dotnet: "1.3.0-alpha.1577836800",
+      go: "v1.3.0-alpha.1577836800",
+      java: "1.3.0-SNAPSHOT",
+      nodejs: "1.3.0-alpha.1577836800",
+    },
+    {
+      version: "1.3.0-alpha.1577836800+699a10d",
+      python: "1.3.0a1577836800",
+      dotnet: "1.3.0-alpha.1577836800",
+      go: "v1.3.0-alpha.1577836800",
+      java: "1.3.0-SNAPSHOT",
+      nodejs: "1.3.0-alpha.1577836800",
+    },
+    {
+      version: "2.0.0-beta.3",
+      python: "2.0.0b3",
+      dotnet: "2.0.0-beta.3",
+      go: "v2.0.0-beta.3",
+      java: "2.0.0-SNAPSHOT",
+      nodejs: "2.0.0-beta.3",
+    },
+    {
+      version: "2.0.0-rc.1",
+      python: "2.0.0rc1",
+      dotnet: "2.0.0-rc.1",
+      go: "v2.0.0-rc.1",
+      java: "2.0.0-SNAPSHOT",
+      nodejs: "2.0.0-rc.1",
+    },
+    {
+      version: "1.3.0-dev.42+699a10d",
+      python: "1.3.0.dev42",
+      dotnet: "1.3.0-dev.42",
+      go: "v1.3.0-dev.42",
+      java: "1.3.0-SNAPSHOT",
+      nodejs: "1.3.0-dev.42",
+    },
+    {
+      version: "1.3.0-nightly.sha-699a10d.42",
+      python: "1.3.0.dev42",
+      dotnet: "1.3.0-nightly.sha-699a10d.42",
+      go: "v1.3.0-nightly.sha-699a10d.42",
+      java: "1.3.0-SNAPSHOT",
+      nodejs: "1.3.0-nightly.sha-699a10d.42",
+    },
+    {
+      version: "1.0.0-rc",
+      python: "1.0.0rc0",
+      dotnet: "1.0.0-rc",
+      go: "v1.0.0-rc",
+      java: "1.0.0-SNAPSHOT",
+      nodejs: "1.0.0-rc",
+    },
+    {
+      version: "1.0.0-7",
+      python: "1.0.0.dev7",
+      dotnet: "1.0.0-7",
+      go: "v1.0.0-7",
+      java: "1.0.0-SNAPSHOT",
+      nodejs: "1.0.0-7",
+    },
+  ])("$version", ({ version, ...expected }) => {
+    expect(languageVersions(version)).toEqual(expected);
+  });
+
+  test("label with a number", () => {
+    expect(languageVersions("1.3.0-alpha1").python).toBe("1.3.0a1");
+    expect(languageVersions("1.3.0-rc2.g699a10d").python).toBe("1.3.0rc2");
+    expect(languageVersions("1.3.0-nightly3").python).toBe("1.3.0.dev3");
+  });
+
+  test("no number to keep builds distinct", () => {
+    expect(() => languageVersions("1.1.0-alpha.g699a10d+699a10d")).toThrow(
+      "Can't convert 1.1.0-alpha.g699a10d to a Python version, as its pre-release has no number to keep builds distinct. Include a number such as {order} in prerelease-format."
+    );
+  });
+
+  test("invalid version", () => {
+    expect(() => languageVersions("v1.foo")).toThrow("Invalid Version");
+  });
+});
@@ -0,0 +1,8 @@
+import { debug, info, isDebug } from "@actions/core";
+
+// Only write debug messages when the RUNNER_DEBUG environment variable is set.
+// This reduces noise in tests.
+export const localDebug = isDebug() ? debug : () => {};
+// Skip writing info messages when running in Jest to reduce noise.
+export const localInfo =
+  process.env.JEST_WORKER_ID !== undefined ? () => {} : info;
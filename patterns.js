@@ -0,0 +1,46 @@
+// Branch name patterns shared by the inputs and the version calculation.
+
+/**
+ * Escape the characters which have a special meaning in regular expressions.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether the pattern is a regular expression wrapped in `/` e.g. `/^upgrade-.*$/`.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isRegExpPattern(pattern) {
+  return pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/");
+}
+
+/**
+ * @param {string} pattern Branch name, where `*` matches any characters.
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  return new RegExp(`^${pattern.split("*").map(escapeRegExp).join(".*")}$`);
+}
+
+/**
+ * @param {string} pattern A glob where `*` matches any characters, or a regular expression wrapped in `/`.
+ * @returns {RegExp} Throws if the regular expression is invalid.
+ */
+export function branchPatternToRegExp(pattern) {
+  return isRegExpPattern(pattern)
+    ? new RegExp(pattern.slice(1, -1))
+    : globToRegExp(pattern);
+}
+
+/**
+ * @param {string} branch
+ * @param {string} pattern Branch name, where `*` matches any characters.
+ * @returns {boolean}
+ */
+export function matchesBranchPattern(branch, pattern) {
+  return globToRegExp(pattern).test(branch);
+}
@@ -0,0 +1,58 @@
+import {
+  branchPatternToRegExp,
+  escapeRegExp,
+  isRegExpPattern,
+  matchesBranchPattern,
+} from "./patterns";
+
+describe("escapeRegExp", () => {
+  test("special characters", () => {
+    expect(escapeRegExp("release-1.x+(a)")).toBe("release-1\\.x\\+\\(a\\)");
+  });
+});
+
+describe("isRegExpPattern", () => {
+  test.each([
+    ["/^upgrade-.*$/", true],
+    ["upgrade-*", false],
+    ["//", false],
+    ["/upgrade", false],
+  ])("%s", (pattern, expected) => {
+    expect(isRegExpPattern(pattern)).toBe(expected);
+  });
+});
+
+describe("matchesBranchPattern", () => {
+  test("glob", () => {
+    expect(matchesBranchPattern("release/v1.2", "release/*")).toBe(true);
+    expect(matchesBranchPattern("main", "release/*")).toBe(false);
+  });
+
+  test("dots are literal", () => {
+    expect(matchesBranchPattern("v1x2", "v1.2")).toBe(false);
+  });
+
+  test("regular expressions are matched as globs", () => {
+    expect(matchesBranchPattern("upgrade-x", "/upgrade-.*/")).toBe(false);
+  });
+});
+
+describe("branchPatternToRegExp", () => {
+  test("glob", () => {
+    expect(
+      branchPatternToRegExp("upgrade-*-major").test("upgrade-x-major")
+    ).toBe(true);
+  });
+
+  test("regular expression", () => {
+    expect(
+      branchPatternToRegExp("/^upgrade-.*-(major|breaking)$/").test(
+        "upgrade-x-breaking"
+      )
+    ).toBe(true);
+  });
+
+  test("invalid regular expression", () => {
+    expect(() => branchPatternToRegExp("/(/")).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,131 @@
+import { SemVer } from "semver";
+import { DEFAULT_VERSION_BRANCH_PATTERNS, calculateVersion } from "./version";
+
+/**
+ * The version one kind of build would produce.
+ * @typedef {object} SimulatedVersion
+ * @property {string} event The simulated build e.g. `push to default branch`.
+ * @property {string} ref The ref built e.g. `refs/heads/main`.
+ * @property {string} [version] The calculated version, unless the build would fail.
+ * @property {string} [previousVersion]
+ * @property {import("./version").Increment} [increment]
+ * @property {import("./version").VersionReason} [reason]
+ * @property {string} [error] Why the build would fail.
+ */
+
+/**
+ * Calculate the version each kind of build would produce from the current repository state,
+ * without pushing commits or opening pull requests.
+ * The previous release and commit are looked up as normal. The pull request's head branch and labels
+ * are taken from the context's `pull_request` payload, and it's treated as merged for builds of the default branch.
+ * @param {import("@actions/github/lib/context").Context} context Provides the repository, commit, default branch and pull request.
+ * @param {import("./version").CalculateVersionArgs} args
+ * @returns {Promise<SimulatedVersion[]>} For a push to the default branch, a push to a version branch,
+ * a pull request, a scheduled build, a dispatched build and a tag push, in that order.
+ */
+export async function simulateVersions(context, args) {
+  const repository = context.payload?.repository;
+  const defaultBranch = repository?.default_branch;
+  if (!defaultBranch) {
+    throw new Error("Simulating versions requires the default branch.");
+  }
+  const pullRequest = context.payload?.pull_request;
+  const headCommit = context.payload?.head_commit;
+  const simulationArgs = { ...args, simulation: { pullRequest } };
+
+  /**
+   * @param {string} event
+   * @param {string} eventName
+   * @param {string} ref
+   * @param {Record<string, any>} [payload]
+   * @returns {Promise<SimulatedVersion>}
+   */
+  async function simulate(event, eventName, ref, payload = {}) {
+    // The commit is loaded from GitHub unless its message and timestamp were given.
+    const head_commit =
+      headCommit?.message !== undefined && headCommit?.timestamp !== undefined
+        ? headCommit
+        : undefined;
+    try {
+      const result = await calculateVersion(
+        {
+          ...context,
+          repo: context.repo,
+          eventName,
+          ref,
+          payload: { repository, head_commit, ...payload },
+        },
+        simulationArgs
+      );
+      return { event, ref, ...result };
+    } catch (error) {
+      return { event, ref, error: error.message };
+    }
+  }
+
+  const defaultRef = `refs/heads/${defaultBranch}`;
+  const defaultPush = await simulate(
+    "push to default branch",
+    "push",
+    defaultRef
+  );
+  // Build the version branch for the latest release's line.
+  const latest = new SemVer(
+    defaultPush.previousVersion ?? defaultPush.version ?? "0.0.0"
+  );
+  const versionBranch = (args?.versionBranchPatterns ??
+    DEFAULT_VERSION_BRANCH_PATTERNS)[0]
+    .replace("{major}", `${latest.major}`)
+    .replace("{minor}", `${latest.minor}`);
+  const results = [
+    defaultPush,
+    await simulate(
+      "push to version branch",
+      "push",
+      `refs/heads/${versionBranch}`
+    ),
+    await simulate(
+      "pull request",
+      "pull_request",
+      `refs/pull/${pullRequest?.number ?? 1}/merge`,
+      { pull_request: { ...pullRequest, base: { ref: defaultBranch } } }
+    ),
+    await simulate("schedule", "schedule", defaultRef),
+    await simulate("dispatch", "workflow_dispatch", defaultRef),
+  ];
+  if (defaultPush.version === undefined) {
+    results.push({
+      event: "tag push",
+      ref: "",
+      error: "Nothing to tag, as the default branch build would fail.",
+    });
+    return results;
+  }
+  // Tag the release the default branch is working towards.
+  const next = new SemVer(defaultPush.version);
+  const tag = `${args?.tagPrefix ?? ""}v${next.major}.${next.minor}.${next.patch}`;
+  results.push(
+    await simulate("tag push", "push", `refs/tags/${tag}`, {
+      base_ref: defaultRef,
+    })
+  );
+  return results;
+}
+
+/**
+ * Format simulated versions as a Markdown table.
+ * @param {SimulatedVersion[]} results
+ * @returns {string}
+ */
+export function formatSimulationTable(results) {
+  const rows = [
+    "| Event | Ref | Version | Reason | Previous version | Increment |",
+    "| - | - | - | - | - | - |",
+    ...results.map((result) =>
+      result.error === undefined
+        ? `| ${result.event} | ${result.ref} | ${result.version} | ${result.reason} | ${result.previousVersion ?? ""} | ${result.increment ?? ""} |`
+        : `| ${result.event} | ${result.ref} | Fails: ${result.error} | | | |`
+    ),
+  ];
+  return rows.join("\n") + "\n";
+}
@@ -0,0 +1,184 @@
+import { formatSimulationTable, simulateVersions } from "./simulate";
+
+const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+const context = {
+  eventName: "push",
+  ref: "refs/heads/main",
+  sha,
+  repo: { owner: "owner", repo: "repo" },
+  payload: {
+    repository: { default_branch: "main" },
+    pull_request: {
+      head: { ref: "fix" },
+      labels: [{ name: "needs-release/patch" }],
+    },
+  },
+};
+
+/**
+ * @param {Record<string, unknown>} requests Responses by URL path.
+ */
+function mockGitHubEndpoints(requests) {
+  fetch.mockResponse(async (req) => {
+    const path = new URL(req.url).pathname;
+    const response = requests[path];
+    if (response === undefined) {
+      return { status: 404 };
+    }
+    return {
+      body: JSON.stringify(response),
+      headers: { "content-type": "application/json" },
+    };
+  });
+}
+
+describe("simulateVersions", () => {
+  test("every event", async () => {
+    mockGitHubEndpoints({
+      "/repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "/repos/owner/repo/releases": [{ tag_name: "v1.2.1" }],
+      [`/repos/owner/repo/commits/${sha}`]: {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+    expect(await simulateVersions(context, {})).toEqual([
+      {
+        event: "push to default branch",
+        ref: "refs/heads/main",
+        version: "1.2.2-alpha.1577836800",
+        previousVersion: "1.2.1",
+        increment: "patch",
+        reason: "label",
+      },
+      {
+        event: "push to version branch",
+        ref: "refs/heads/v1",
+        version: "1.2.2-alpha.1577836800",
+        previousVersion: "1.2.1",
+        increment: "patch",
+        reason: "version-branch",
+      },
+      {
+        event: "pull request",
+        ref: "refs/pull/1/merge",
+        version: "1.2.2-alpha.1577836800+699a10d",
+        previousVersion: "1.2.1",
+        increment: "patch",
+        reason: "label",
+      },
+      {
+        event: "schedule",
+        ref: "refs/heads/main",
+        version: "1.3.0-alpha.1577836800+699a10d",
+        previousVersion: "1.2.1",
+        increment: "minor",
+        reason: "default",
+      },
+      {
+        event: "dispatch",
+        ref: "refs/heads/main",
+        version: "1.2.2-alpha.1577836800",
+        previousVersion: "1.2.1",
+        increment: "patch",
+        reason: "label",
+      },
+      {
+        event: "tag push",
+        ref: "refs/tags/v1.2.2",
+        version: "1.2.2",
+        reason: "tag",
+      },
+    ]);
+  });
+
+  test("dispatch with the supplied head commit", async () => {
+    mockGitHubEndpoints({
+      "/repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "/repos/owner/repo/releases": [{ tag_name: "v1.2.1" }],
+    });
+    const results = await simulateVersions(
+      {
+        ...context,
+        payload: {
+          ...context.payload,
+          head_commit: {
+            message: "Commit message",
+            timestamp: "2021-01-01T00:00:00Z",
+          },
+        },
+      },
+      {}
+    );
+    // The commit isn't loaded from GitHub.
+    expect(results[4]).toEqual({
+      event: "dispatch",
+      ref: "refs/heads/main",
+      version: "1.2.2-alpha.1609459200",
+      previousVersion: "1.2.1",
+      increment: "patch",
+      reason: "label",
+    });
+  });
+
+  test("failing builds", async () => {
+    mockGitHubEndpoints({
+      "/repos/owner/repo/releases/latest": { tag_name: "v2.0.0" },
+      "/repos/owner/repo/releases": [{ tag_name: "v2.0.0" }],
+      [`/repos/owner/repo/commits/${sha}`]: {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+    const results = await simulateVersions(context, {
+      majorVersion: 1,
+      versionGuard: "fail",
+    });
+    expect(results[0]).toEqual({
+      event: "push to default branch",
+      ref: "refs/heads/main",
+      error:
+        "Calculated version 1.0.0-alpha.1577836800 is not newer than the latest release v2.0.0. Check the major-version input and pull request labels.",
+    });
+    expect(results[5]).toEqual({
+      event: "tag push",
+      ref: "",
+      error: "Nothing to tag, as the default branch build would fail.",
+    });
+  });
+
+  test("missing default branch", async () => {
+    await expect(
+      simulateVersions({ ...context, payload: {} }, {})
+    ).rejects.toThrow("Simulating versions requires the default branch.");
+  });
+});
+
+describe("formatSimulationTable", () => {
+  test("results and errors", () => {
+    expect(
+      formatSimulationTable([
+        {
+          event: "schedule",
+          ref: "refs/heads/main",
+          version: "1.3.0-alpha.1577836800+699a10d",
+          previousVersion: "1.2.1",
+          increment: "minor",
+          reason: "default",
+        },
+        { event: "tag push", ref: "refs/tags/v1.3.0", error: "Bad tag." },
+      ])
+    ).toBe(
+      `| Event | Ref | Version | Reason | Previous version | Increment |
+| - | - | - | - | - | - |
+| schedule | refs/heads/main | 1.3.0-alpha.1577836800+699a10d | default | 1.2.1 | minor |
+| tag push | refs/tags/v1.3.0 | Fails: Bad tag. | | | |
+`
+    );
+  });
+});
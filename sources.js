@@ -0,0 +1,526 @@
+// Version sources for the `version-source` input, and the version tag helpers they share.
+
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { SemVer, parse } from "semver";
+import { cached } from "./cache";
+import {
+  describeNearestTag,
+  getWorkspace,
+  isShallowRepository,
+  listTags,
+} from "./git";
+import { cachedRequest } from "./github";
+import { localDebug } from "./log";
+
+/** @typedef {import("./version").CalculateVersionArgs} CalculateVersionArgs */
+
+/**
+ * Finds the released versions for the `version-source` input.
+ * Versions keep the name of their tag as the raw version e.g. `v1.2.3`, so they can be compared with commits.
+ * @typedef {object} VersionSource
+ * @property {(context: import("@actions/github/lib/context").Context, args: CalculateVersionArgs) => Promise<SemVer | undefined>} getLatestVersion
+ * The latest released version, or undefined if nothing has been released. Throws if the lookup fails.
+ * @property {(context: import("@actions/github/lib/context").Context, args: CalculateVersionArgs, major?: number, options?: { includeDrafts?: boolean, includePrereleases?: boolean }) => Promise<SemVer[]>} listVersions
+ * The released versions, only in `major` if set. Throws if the lookup fails.
+ */
+
+/**
+ * A package registry to look up published versions in.
+ * @typedef {object} Registry
+ * @property {"npm" | "pypi" | "go"} type
+ * @property {string} packageName npm package, PyPI project or Go module path.
+ * @property {string} url Base URL of the registry, without a trailing slash.
+ */
+
+/** Base URLs of the public registries. */
+export const DEFAULT_REGISTRY_URLS = {
+  npm: "https://registry.npmjs.org",
+  pypi: "https://pypi.org",
+  go: "https://proxy.golang.org",
+};
+
+/**
+ * Parse the version from a tag name, after the tag prefix.
+ * @param {string} tag
+ * @param {CalculateVersionArgs} args
+ * @returns {SemVer | undefined} undefined if the tag doesn't start with the prefix or isn't a valid version.
+ */
+export function parseTagVersion(tag, args) {
+  const prefix = args?.tagPrefix ?? "";
+  if (typeof tag !== "string" || !tag.startsWith(prefix)) {
+    return undefined;
+  }
+  const parsed = parse(tag.slice(prefix.length));
+  if (parsed === null) {
+    return undefined;
+  }
+  // Keep the full tag name as the raw version so the tag can be referenced later.
+  parsed.raw = tag;
+  return parsed;
+}
+
+/**
+ * Glob patterns matching the version tags, with or without a "v" before the version.
+ * Without a tag prefix, only tags like `v1.2.3` are matched.
+ * @param {CalculateVersionArgs} args
+ * @param {string} [version] Glob pattern for the version. Defaults to any full version.
+ * @returns {string[]}
+ */
+export function versionTagPatterns(args, version = "[0-9]*.[0-9]*.[0-9]*") {
+  const prefix = args?.tagPrefix ?? "";
+  if (prefix === "") {
+    return [`v${version}`];
+  }
+  return [`${prefix}${version}`, `${prefix}v${version}`];
+}
+
+/**
+ * Glob patterns matching pre-release version tags e.g. `v1.2.0-rc.1`.
+ * @param {CalculateVersionArgs} args
+ * @returns {string[]}
+ */
+function prereleaseTagPatterns(args) {
+  return versionTagPatterns(args).map((pattern) => `${pattern}-*`);
+}
+
+/**
+ * Parse the versions of the tags which match the tag prefix. Tags which aren't valid semver are skipped.
+ * @param {string[]} tags
+ * @param {CalculateVersionArgs} args
+ * @returns {SemVer[]}
+ */
+export function parseTagVersions(tags, args) {
+  return tags
+    .map((tag) => parseTagVersion(tag, args))
+    .filter((version) => version !== undefined);
+}
+
+/**
+ * Find the highest of the versions.
+ * @param {SemVer[]} versions
+ * @param {{ major?: number, minor?: number, includePrereleases?: boolean }} [options]
+ * `major` and `minor` only include versions within that version line. Pre-release versions are excluded unless `includePrereleases` is set.
+ * @returns {SemVer | undefined}
+ */
+export function getHighestVersion(
+  versions,
+  { major, minor, includePrereleases } = {}
+) {
+  let highest;
+  for (const version of versions) {
+    if (
+      (!includePrereleases && version.prerelease.length > 0) ||
+      (major !== undefined && version.major !== major) ||
+      (minor !== undefined && version.minor !== minor)
+    ) {
+      continue;
+    }
+    if (highest === undefined || version.compare(highest) > 0) {
+      highest = version;
+    }
+  }
+  return highest;
+}
+
+/**
+ * The latest release GitHub marks as latest, or all GitHub releases.
+ * @type {VersionSource}
+ */
+export const githubReleasesSource = {
+  getLatestVersion: getLatestGitHubReleaseVersion,
+  async listVersions(context, args, major, options) {
+    return parseTagVersions(
+      await listGitHubReleaseTags(context, args, options),
+      args
+    );
+  },
+};
+
+/**
+ * The nearest version tag, or all version tags, reachable from the commit being built.
+ * @type {VersionSource}
+ */
+export const gitTagsSource = {
+  async getLatestVersion(context, args) {
+    return getLatestTagVersion(context.sha, args);
+  },
+  async listVersions(context, args, major) {
+    const workspace = getWorkspace(args);
+    const tags = await listTags(
+      workspace,
+      versionTagPatterns(args, major === undefined ? undefined : `${major}.*`),
+      context.sha || "HEAD"
+    );
+    if (tags.length === 0) {
+      await checkHistoryIsComplete(workspace);
+    }
+    return parseTagVersions(tags, args);
+  },
+};
+
+/** Files read by the "file" source, in order, when no version file is set. */
+const DEFAULT_VERSION_FILES = [".version", "VERSION"];
+
+/**
+ * Reads the released version from a file in the repository, e.g. `.version` containing `1.2.3`.
+ * @type {VersionSource}
+ */
+export const fileVersionSource = {
+  async getLatestVersion(context, args) {
+    return readVersionFile(args);
+  },
+  async listVersions(context, args, major) {
+    const version = await readVersionFile(args);
+    return major !== undefined && version.major !== major ? [] : [version];
+  },
+};
+
+/**
+ * Looks up the versions published to a package registry: npm, PyPI or a Go module proxy.
+ * @type {VersionSource}
+ */
+export const registryVersionSource = {
+  async getLatestVersion(context, args) {
+    const { latest } = await getRegistryVersions(context, args);
+    if (latest === undefined) {
+      return undefined;
+    }
+    const version = toTagVersion(latest, args);
+    if (version === undefined) {
+      throw new Error(
+        `Latest version of ${args.registry.packageName} is an invalid semver version: ${latest}`
+      );
+    }
+    return version;
+  },
+  async listVersions(context, args, major) {
+    const { versions } = await getRegistryVersions(context, args);
+    // Versions which aren't valid semver, e.g. PEP 440 pre-releases, are skipped.
+    return versions
+      .map((version) => toTagVersion(version, args))
+      .filter(
+        (version) =>
+          version !== undefined &&
+          (major === undefined || version.major === major)
+      );
+  },
+};
+
+/** @type {Record<NonNullable<CalculateVersionArgs["versionSource"]>, VersionSource>} */
+const VERSION_SOURCES = {
+  "github-releases": githubReleasesSource,
+  "git-tags": gitTagsSource,
+  file: fileVersionSource,
+  registry: registryVersionSource,
+};
+
+/**
+ * @param {CalculateVersionArgs} args
+ * @returns {NonNullable<CalculateVersionArgs["versionSource"]>}
+ */
+function getVersionSourceName(args) {
+  return args?.versionSource ?? "github-releases";
+}
+
+/**
+ * @param {CalculateVersionArgs} args
+ * @returns {VersionSource}
+ */
+export function getVersionSource(args) {
+  const name = getVersionSourceName(args);
+  const source = VERSION_SOURCES[name];
+  if (source === undefined) {
+    throw new Error(`Unsupported version source: ${name}`);
+  }
+  if (name === "registry" && args?.registry === undefined) {
+    throw new Error(
+      "The registry version source requires the registry and registry-package inputs."
+    );
+  }
+  return usesHighestVersion(args) ? highestVersionSource(source) : source;
+}
+
+/**
+ * Whether the previous release is the highest version from the source, rather than the source's latest version.
+ * With a tag prefix, GitHub's latest release may be for a different component.
+ * @param {CalculateVersionArgs} args
+ * @returns {boolean}
+ */
+export function usesHighestVersion(args) {
+  return (
+    args?.releaseSelection === "highest-semver" ||
+    (Boolean(args?.tagPrefix) &&
+      getVersionSourceName(args) === "github-releases")
+  );
+}
+
+/**
+ * Wrap a source so its latest version is the highest semver version it lists,
+ * within the release major line if set. Pre-releases and drafts are only included when enabled.
+ * @param {VersionSource} source
+ * @returns {VersionSource}
+ */
+function highestVersionSource(source) {
+  return {
+    async getLatestVersion(context, args) {
+      const major = args?.releaseMajorLine;
+      const includePrereleases = args?.includePrereleases ?? false;
+      const versions = await source.listVersions(context, args, major, {
+        includeDrafts: args?.includeDraftReleases ?? false,
+        includePrereleases,
+      });
+      const highest = getHighestVersion(versions, {
+        major,
+        includePrereleases,
+      });
+      if (highest !== undefined) {
+        localDebug(`Highest release tag: ${highest.raw}`);
+      }
+      return highest;
+    },
+    listVersions: source.listVersions,
+  };
+}
+
+/**
+ * List the tags of GitHub releases. Drafts and pre-releases are excluded by default.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {{ includeDrafts?: boolean, includePrereleases?: boolean }} [options]
+ * @returns {Promise<string[]>}
+ */
+async function listGitHubReleaseTags(
+  context,
+  args,
+  { includeDrafts = false, includePrereleases = false } = {}
+) {
+  // Releases can be published during a workflow run, so only reuse them for the same commit.
+  const releases = await cachedRequest(
+    args,
+    context.repo,
+    `releases@${context.sha}`,
+    async (octokit) => {
+      const releases = await octokit.paginate(octokit.rest.repos.listReleases, {
+        ...context.repo,
+        per_page: 100,
+      });
+      return releases.map(({ tag_name, draft, prerelease }) => ({
+        tag_name,
+        draft,
+        prerelease,
+      }));
+    }
+  );
+  return releases
+    .filter(
+      (release) =>
+        (includeDrafts || !release.draft) &&
+        (includePrereleases || !release.prerelease)
+    )
+    .map((release) => release.tag_name);
+}
+
+/**
+ * Get the release GitHub marks as the latest.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<SemVer | undefined>} undefined if there are no releases.
+ */
+async function getLatestGitHubReleaseVersion(context, args) {
+  const { repo } = context;
+  const latestTag = await cachedRequest(
+    args,
+    repo,
+    `releases/latest@${context.sha}`,
+    async (octokit) => {
+      try {
+        const response = await octokit.rest.repos.getLatestRelease({
+          owner: repo.owner,
+          repo: repo.repo,
+        });
+        return response?.data?.tag_name;
+      } catch (error) {
+        // Not found means there are no releases yet, rather than a failed lookup.
+        if (error.status === 404) {
+          return undefined;
+        }
+        throw error;
+      }
+    }
+  );
+  if (latestTag === undefined) {
+    return undefined;
+  }
+  localDebug(`Latest release tag: ${latestTag}`);
+  return new SemVer(latestTag); // Throws if it's not a valid semver version
+}
+
+/**
+ * Get the version of the nearest semver tag reachable from the commit being built.
+ * Pre-release tags are skipped unless `includePrereleases` is set, as incrementing them doesn't give a newer version.
+ * Requires the tags and history to be present in the checkout (e.g. `fetch-depth: 0`).
+ * @param {string | undefined} sha Commit to walk back from. Defaults to HEAD.
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<SemVer | undefined>} undefined if there are no version tags.
+ */
+async function getLatestTagVersion(sha, args) {
+  const workspace = getWorkspace(args);
+  const latestTag = await describeNearestTag(
+    sha || "HEAD",
+    workspace,
+    versionTagPatterns(args),
+    args?.includePrereleases ? [] : prereleaseTagPatterns(args)
+  );
+  if (latestTag === undefined) {
+    await checkHistoryIsComplete(workspace);
+    return undefined;
+  }
+  localDebug(`Nearest version tag: ${latestTag}`);
+  const parsed = parseTagVersion(latestTag, args);
+  if (parsed === undefined) {
+    throw new Error(
+      `Nearest version tag is an invalid semver version: ${latestTag}`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Fail the lookup when the checkout is shallow, as the version tags may be missing
+ * rather than there being no releases.
+ * @param {string} workspace
+ * @returns {Promise<void>}
+ */
+async function checkHistoryIsComplete(workspace) {
+  if (await isShallowRepository(workspace)) {
+    throw new Error(
+      "No version tag found in the shallow checkout. Fetch the full history and tags, e.g. with fetch-depth: 0"
+    );
+  }
+}
+
+/**
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<SemVer>}
+ */
+async function readVersionFile(args) {
+  const workspace = getWorkspace(args);
+  const files = args?.versionFile ? [args.versionFile] : DEFAULT_VERSION_FILES;
+  for (const file of files) {
+    let content;
+    try {
+      content = await readFile(join(workspace, file), { encoding: "utf-8" });
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        continue;
+      }
+      throw error;
+    }
+    const version = toTagVersion(content.trim(), args);
+    if (version === undefined) {
+      throw new Error(`Invalid version in ${file}: ${content.trim()}`);
+    }
+    localDebug(`Version file ${file}: ${version.version}`);
+    return version;
+  }
+  throw new Error(`Version file not found: ${files.join(" or ")}`);
+}
+
+/**
+ * @param {string} version e.g. `1.2.3` or `v1.2.3`
+ * @param {CalculateVersionArgs} args
+ * @returns {SemVer | undefined} With the version's tag as the raw version.
+ */
+function toTagVersion(version, args) {
+  const parsed = parse(version);
+  if (parsed === null) {
+    return undefined;
+  }
+  parsed.raw = `${args?.tagPrefix ?? ""}v${parsed.version}`;
+  return parsed;
+}
+
+/**
+ * Look up the published versions of the configured package.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<{ latest?: string, versions: string[] }>} `latest` is undefined if nothing has been published.
+ */
+async function getRegistryVersions(context, args) {
+  const { registry } = args;
+  // Packages can be published during a workflow run, so only reuse the versions for the same commit.
+  return cached(
+    args.cacheDir,
+    `${registry.url}/${registry.type}/${registry.packageName}@${context.sha}`,
+    () => lookupRegistryVersions(registry)
+  );
+}
+
+/**
+ * @param {Registry} registry
+ * @returns {Promise<{ latest?: string, versions: string[] }>}
+ */
+async function lookupRegistryVersions({ type, packageName, url }) {
+  switch (type) {
+    case "npm": {
+      // Scoped packages keep the "@" but encode the "/" e.g. `@pulumi%2faws`.
+      const name = encodeURIComponent(packageName).replace(/^%40/, "@");
+      const metadata = await fetchRegistry(`${url}/${name}`, "json");
+      return {
+        latest: metadata?.["dist-tags"]?.latest,
+        versions: Object.keys(metadata?.versions ?? {}),
+      };
+    }
+    case "pypi": {
+      const metadata = await fetchRegistry(
+        `${url}/pypi/${encodeURIComponent(packageName)}/json`,
+        "json"
+      );
+      return {
+        latest: metadata?.info?.version,
+        versions: Object.keys(metadata?.releases ?? {}),
+      };
+    }
+    case "go": {
+      // Module paths are case-encoded e.g. `github.com/!azure` for `github.com/Azure`.
+      const path = packageName.replace(/[A-Z]/g, (c) => `!${c.toLowerCase()}`);
+      const list = await fetchRegistry(`${url}/${path}/@v/list`, "text");
+      const versions = (list ?? "")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line !== "");
+      // The proxy's @latest can be a pseudo-version, so use the highest stable tagged version instead.
+      const stable = versions
+        .map((version) => parse(version))
+        .filter(
+          (version) => version !== null && version.prerelease.length === 0
+        )
+        .sort((a, b) => b.compare(a));
+      return { latest: stable[0]?.raw, versions };
+    }
+    default:
+      throw new Error(`Unsupported registry: ${type}`);
+  }
+}
+
+/**
+ * @param {string} url
+ * @param {"json" | "text"} format
+ * @returns {Promise<any>} undefined if the package isn't found.
+ */
+async function fetchRegistry(url, format) {
+  localDebug(`Registry request: ${url}`);
+  const response = await fetch(url);
+  // The Go proxy returns 410 Gone for modules it won't serve.
+  if (response.status === 404 || response.status === 410) {
+    localDebug(`Not found in registry: ${url}`);
+    return undefined;
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Registry request failed: ${response.status} ${response.statusText} from ${url}`
+    );
+  }
+  return format === "json" ? response.json() : response.text();
+}
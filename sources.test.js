@@ -0,0 +1,227 @@
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  fileVersionSource,
+  getVersionSource,
+  registryVersionSource,
+} from "./sources";
+
+const context = {
+  sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+};
+
+/**
+ * @param {Record<string, unknown>} requests Responses by URL, objects are returned as JSON.
+ */
+function mockRegistry(requests) {
+  fetch.mockResponse(async (req) => {
+    const response = requests[req.url];
+    if (response === undefined) {
+      return { status: 404 };
+    }
+    if (typeof response === "string") {
+      return { body: response };
+    }
+    return {
+      body: JSON.stringify(response),
+      headers: { "content-type": "application/json" },
+    };
+  });
+}
+
+describe("fileVersionSource", () => {
+  let workspace;
+  beforeEach(() => {
+    workspace = mkdtempSync(join(tmpdir(), "provider-version-file-"));
+  });
+  afterEach(() => {
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test(".version", async () => {
+    writeFileSync(join(workspace, ".version"), "1.2.3\n");
+    const version = await fileVersionSource.getLatestVersion(context, {
+      workspace,
+    });
+    expect(version.version).toBe("1.2.3");
+    expect(version.raw).toBe("v1.2.3");
+  });
+
+  test("VERSION with a tag prefix", async () => {
+    writeFileSync(join(workspace, "VERSION"), "v1.2.3");
+    const version = await fileVersionSource.getLatestVersion(context, {
+      workspace,
+      tagPrefix: "sdk/",
+    });
+    expect(version.raw).toBe("sdk/v1.2.3");
+  });
+
+  test("version file", async () => {
+    writeFileSync(join(workspace, ".version"), "1.0.0");
+    writeFileSync(join(workspace, "provider.version"), "2.0.0");
+    const version = await fileVersionSource.getLatestVersion(context, {
+      workspace,
+      versionFile: "provider.version",
+    });
+    expect(version.version).toBe("2.0.0");
+  });
+
+  test("list versions in a major", async () => {
+    writeFileSync(join(workspace, ".version"), "1.2.3");
+    const args = { workspace };
+    expect(
+      (await fileVersionSource.listVersions(context, args, 1)).map(
+        (v) => v.version
+      )
+    ).toEqual(["1.2.3"]);
+    expect(await fileVersionSource.listVersions(context, args, 2)).toEqual([]);
+  });
+
+  test("invalid version", async () => {
+    writeFileSync(join(workspace, ".version"), "latest");
+    await expect(
+      fileVersionSource.getLatestVersion(context, { workspace })
+    ).rejects.toThrow("Invalid version in .version: latest");
+  });
+
+  test("not found", async () => {
+    await expect(
+      fileVersionSource.getLatestVersion(context, { workspace })
+    ).rejects.toThrow("Version file not found: .version or VERSION");
+  });
+});
+
+describe("registryVersionSource", () => {
+  test("npm", async () => {
+    mockRegistry({
+      "http://localhost:4873/@pulumi%2Faws": {
+        "dist-tags": { latest: "6.1.0", beta: "7.0.0-beta.1" },
+        versions: { "6.0.0": {}, "6.1.0": {}, "7.0.0-beta.1": {} },
+      },
+    });
+    const args = {
+      registry: {
+        type: "npm",
+        packageName: "@pulumi/aws",
+        url: "http://localhost:4873",
+      },
+    };
+    const latest = await registryVersionSource.getLatestVersion(context, args);
+    expect(latest.version).toBe("6.1.0");
+    expect(latest.raw).toBe("v6.1.0");
+    expect(
+      (await registryVersionSource.listVersions(context, args, 7)).map(
+        (v) => v.version
+      )
+    ).toEqual(["7.0.0-beta.1"]);
+  });
+
+  test("pypi", async () => {
+    mockRegistry({
+      "http://localhost:8080/pypi/pulumi-aws/json": {
+        info: { version: "6.1.0" },
+        // PEP 440 pre-releases aren't valid semver.
+        releases: { "6.0.0": [], "6.1.0": [], "7.0.0a1": [] },
+      },
+    });
+    const args = {
+      registry: {
+        type: "pypi",
+        packageName: "pulumi-aws",
+        url: "http://localhost:8080",
+      },
+    };
+    expect(
+      (await registryVersionSource.getLatestVersion(context, args)).version
+    ).toBe("6.1.0");
+    expect(
+      (await registryVersionSource.listVersions(context, args)).map(
+        (v) => v.version
+      )
+    ).toEqual(["6.0.0", "6.1.0"]);
+  });
+
+  test("go", async () => {
+    mockRegistry({
+      "http://localhost:3000/github.com/!azure/pulumi-azure/@v/list":
+        "v1.0.0\nv1.2.0\nv1.3.0-rc.1\nv1.1.0\n",
+    });
+    const args = {
+      registry: {
+        type: "go",
+        packageName: "github.com/Azure/pulumi-azure",
+        url: "http://localhost:3000",
+      },
+    };
+    expect(
+      (await registryVersionSource.getLatestVersion(context, args)).version
+    ).toBe("1.2.0");
+  });
+
+  test("not published", async () => {
+    mockRegistry({});
+    const args = {
+      registry: {
+        type: "npm",
+        packageName: "unpublished",
+        url: "http://localhost:4873",
+      },
+    };
+    expect(
+      await registryVersionSource.getLatestVersion(context, args)
+    ).toBeUndefined();
+    expect(await registryVersionSource.listVersions(context, args)).toEqual([]);
+  });
+
+  test("request failure", async () => {
+    fetch.mockResponse(async () => ({
+      status: 503,
+      statusText: "Unavailable",
+    }));
+    const args = {
+      registry: {
+        type: "npm",
+        packageName: "aws",
+        url: "http://localhost:4873",
+      },
+    };
+    await expect(
+      registryVersionSource.getLatestVersion(context, args)
+    ).rejects.toThrow(
+      "Registry request failed: 503 Unavailable from http://localhost:4873/aws"
+    );
+  });
+});
+
+describe("getVersionSource", () => {
+  const repoContext = { ...context, repo: { owner: "owner", repo: "repo" } };
+
+  test("highest-semver uses the highest listed version", async () => {
+    mockRegistry({
+      "https://api.github.com/repos/owner/repo/releases?per_page=100": [
+        { tag_name: "v1.3.0", draft: false, prerelease: false },
+        { tag_name: "v2.0.0-rc.1", draft: false, prerelease: true },
+        { tag_name: "v1.10.0", draft: false, prerelease: false },
+        { tag_name: "v1.2.0", draft: false, prerelease: false },
+      ],
+    });
+    const source = getVersionSource({ releaseSelection: "highest-semver" });
+    const latest = await source.getLatestVersion(repoContext, {
+      releaseSelection: "highest-semver",
+    });
+    expect(latest.raw).toBe("v1.10.0");
+  });
+
+  test("unsupported source", () => {
+    expect(() => getVersionSource({ versionSource: "svn" })).toThrow(
+      "Unsupported version source: svn"
+    );
+  });
+
+  test("registry source without a registry", () => {
+    expect(() => getVersionSource({ versionSource: "registry" })).toThrow(
+      "The registry version source requires the registry and registry-package inputs."
+    );
+  });
+});
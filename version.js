@@ -1,19 +1,183 @@
-import { warning, debug, isDebug, info, group } from "@actions/core";
-import { SemVer } from "semver";
-import { Octokit } from "octokit";
+import { warning, debug, isDebug, group } from "@actions/core";
+import { SemVer, valid } from "semver";
+import { getConventionalIncrement } from "./conventional";
+import {
+  GitHubConfigurationError,
+  cachedRequest,
+  hasGitHubToken,
+} from "./github";
+import { localDebug, localInfo } from "./log";
+import {
+  branchPatternToRegExp,
+  escapeRegExp,
+  matchesBranchPattern,
+} from "./patterns";
+import {
+  getHighestVersion,
+  getVersionSource,
+  parseTagVersion,
+  parseTagVersions,
+  usesHighestVersion,
+  versionTagPatterns,
+} from "./sources";
+import {
+  getCommitDistance,
+  getCommitMessages,
+  getWorkspace,
+  hasTag,
+  isShallowRepository,
+  listTags,
+} from "./git";
 
-// Only write debug messages when the RUNNER_DEBUG environment variable is set.
-// This reduces noise in tests.
-const localDebug = isDebug() ? debug : () => {};
-// Skip writing info messages when running in Jest to reduce noise.
-const localInfo = process.env.JEST_WORKER_ID !== undefined ? () => {} : info;
+export const DEFAULT_PRERELEASE_FORMAT = "{label}.{order}";
+
+/** e.g. `v5` */
+export const DEFAULT_VERSION_BRANCH_PATTERNS = ["v{major}"];
+
+/** @type {Map<string, Increment>} */
+export const DEFAULT_UPGRADE_BRANCH_MAP = new Map([
+  ["upgrade-*-major", "major"],
+]);
+
+/** @type {Map<string, Increment>} */
+export const DEFAULT_LABEL_MAP = new Map([
+  ["needs-release/major", "major"],
+  ["needs-release/minor", "minor"],
+  ["needs-release/patch", "patch"],
+]);
+
+/**
+ * @typedef {object} CalculateVersionArgs
+ * @property {number} [majorVersion] Force a specific major version.
+ * @property {"github-releases" | "git-tags" | "file" | "registry"} [versionSource] Where to find the previous release version. Defaults to "github-releases".
+ * @property {string} [workspace] Repository checkout directory used by the "git-tags" and "file" sources. Defaults to GITHUB_WORKSPACE or the current directory.
+ * @property {string} [versionFile] File containing the released version for the "file" source, relative to the workspace. Defaults to `.version` or `VERSION`.
+ * @property {import("./sources").Registry} [registry] Package registry for the "registry" source.
+ * @property {string} [prereleaseLabel] Label used in alpha versions. Defaults to "alpha".
+ * @property {string} [prereleaseFormat] Template for the pre-release part of alpha versions. Defaults to "{label}.{order}".
+ * @property {"timestamp" | "commit-distance" | "run-number"} [orderingSource] What the {order} token orders alpha versions by: the commit timestamp, the commits since the previous release or the workflow run number. Defaults to "timestamp".
+ * @property {boolean} [conventionalCommits] Choose the increment from the Conventional Commits since the previous release.
+ * @property {Increment} [defaultIncrement] Increment used when no other rule chooses one. Defaults to minor, or patch on version branches.
+ * @property {Map<string, Increment>} [labelMap] PR labels which choose an increment. Defaults to the `needs-release/*` labels.
+ * @property {string} [tagPrefix] Prefix of the version tags e.g. `sdk/`. Tags without the prefix are ignored. Defaults to no prefix.
+ * @property {"latest-flag" | "highest-semver"} [releaseSelection] How to choose the previous release: the release GitHub marks as latest (or nearest tag), or the highest semver version. Defaults to latest-flag.
+ * @property {boolean} [includeDraftReleases] Include draft GitHub releases when selecting the highest semver version.
+ * @property {boolean} [includePrereleases] Include pre-releases when selecting the highest semver version, and pre-release tags when finding the nearest tag.
+ * @property {number} [releaseMajorLine] Only include releases in this major version when selecting the highest semver version.
+ * @property {string} [cacheDir] Directory to cache GitHub API responses in, shared between invocations. Defaults to no caching.
+ * @property {string} [githubToken] Token for the GitHub API. Defaults to the GITHUB_TOKEN environment variable.
+ * @property {string} [githubApiUrl] GitHub API URL e.g. for GitHub Enterprise Server. Defaults to the GITHUB_API_URL environment variable, then github.com.
+ * @property {"fail" | "warn" | "fallback"} [onLookupFailure] What to do when the previous release or commits can't be looked up:
+ * fail the build, or continue as if there were no releases with or without a warning. Defaults to warn.
+ * @property {number} [lookupRetries] How many times to retry GitHub API requests which fail with a server error. Defaults to 3.
+ * @property {"off" | "warn" | "fail"} [versionGuard] Check the calculated version is newer than the published versions. Defaults to off.
+ * @property {boolean} [versionGuardTags] Also check against all existing tags in the major version, not only releases.
+ * @property {boolean} [validateTags] Fail tag builds whose major version doesn't match `majorVersion`, or which are pre-releases on a branch not in `prereleaseTagBranches`.
+ * @property {Map<string, Increment>} [upgradeBranchMap] Branch patterns which choose an increment: globs where `*` matches anything, or regular expressions wrapped in `/`. The first matching pattern is used. Defaults to `upgrade-*-major`.
+ * @property {string[]} [versionBranchPatterns] Release branch name patterns capturing `{major}` and optionally `{minor}`, e.g. `release-{major}.x`. Defaults to `v{major}`.
+ * @property {string[]} [prereleaseTagBranches] Branch patterns (`*` matches anything) where pre-release tags are allowed when validating tags. Defaults to any branch.
+ * @property {ExplanationStep[]} [explanation] If set, each decision made while calculating the version is appended to it.
+ * @property {{ pullRequest?: PullRequest }} [simulation] Set by `simulateVersions`: builds of the default and version branches use this pull request as the merged pull request, instead of looking it up.
+ */
+
+/**
+ * @typedef {'major' | 'minor' | 'patch'} Increment
+ */
+
+/**
+ * Which rule chose the version:
+ * - tag: the exact version of the pushed tag.
+ * - version-branch: a version branch (e.g. `v5`) was built or merged.
+ * - upgrade-branch: a major upgrade branch (e.g. `upgrade-*-major`) was built or merged.
+ * - conventional-commits: the Conventional Commits since the previous release chose the increment.
+ * - label: a `needs-release/*` PR label chose the increment.
+ * - default: no rule matched so the default increment was used.
+ * - major-version: the `major-version` input overrode the inferred version.
+ * @typedef {'tag' | 'version-branch' | 'upgrade-branch' | 'conventional-commits' | 'label' | 'default' | 'major-version'} VersionReason
+ */
+
+/**
+ * The next version to be released, before any pre-release is added.
+ * @typedef {object} NextVersion
+ * @property {SemVer} version
+ * @property {SemVer} [previousVersion] The release the version was calculated from.
+ * @property {Increment} [increment] How the previous version was incremented.
+ * @property {VersionReason} reason
+ */
+
+/**
+ * The release line of a version branch: a major version, or a major and minor version.
+ * @typedef {object} VersionLine
+ * @property {number} major
+ * @property {number} [minor]
+ */
+
+/**
+ * The fields of a GitHub pull request used to calculate versions.
+ * @typedef {object} PullRequest
+ * @property {number} [number]
+ * @property {{ ref?: string }} [head]
+ * @property {{ name: string }[]} [labels]
+ * @property {string | null} [merged_at]
+ * @property {string | null} [merge_commit_sha]
+ */
+
+/**
+ * A commit included in a push.
+ * @typedef {object} PushedCommit
+ * @property {string} sha
+ * @property {string} message
+ */
+
+/**
+ * A decision made while calculating the version.
+ * @typedef {object} ExplanationStep
+ * @property {string} step What was decided e.g. `Event` or `Previous release`.
+ * @property {string} decision
+ */
+
+/**
+ * @typedef {object} VersionResult
+ * @property {string} version The calculated version.
+ * @property {string} [previousVersion] The release the version was calculated from, unless nothing has been released.
+ * @property {Increment} [increment] How the previous version was incremented.
+ * @property {VersionReason} reason Which rule chose the version.
+ */
 
 /**
  * Calculate the version to use for the current build.
  * @param {import("@actions/github/lib/context").Context} context
- * @param {{ majorVersion?: number }} args
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<VersionResult>}
  */
 export async function calculateVersion(context, args) {
+  const result = await calculateEventVersion(context, args);
+  if (result.increment !== undefined) {
+    explain(args, "Increment", `${result.increment} (${result.reason})`);
+  }
+  explain(args, "Version", `${result.version} (${result.reason})`);
+  await checkVersionIsUnpublished(context, args, result);
+  return result;
+}
+
+/**
+ * Record a decision in the explanation, if one was requested, and log it for debugging.
+ * @param {CalculateVersionArgs} args
+ * @param {string} step
+ * @param {string} decision
+ */
+function explain(args, step, decision) {
+  localDebug(`${step}: ${decision}`);
+  args?.explanation?.push({ step, decision });
+}
+
+/**
+ * Calculate the version for the event which triggered the build.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<VersionResult>}
+ */
+async function calculateEventVersion(context, args) {
   const majorVersion = args?.majorVersion;
   const eventName = context.eventName;
   const ref = context.ref;
@@ -21,6 +185,7 @@ export async function calculateVersion(context, args) {
   const defaultBranch = context.payload?.repository?.default_branch;
 
   localDebug(`major-version: ${majorVersion ?? ""}`);
+  localDebug(`version-source: ${args?.versionSource ?? ""}`);
   localDebug(`event_name: ${eventName}`);
   localDebug(`ref: ${ref}`);
   localDebug(`sha: ${sha}`);
@@ -32,8 +197,45 @@ export async function calculateVersion(context, args) {
   }
 
   if (eventName === "push" && ref.startsWith("refs/tags/")) {
-    localDebug(`Tag pushed: ${ref}`);
-    return calculateTagVersion(ref);
+    const tag = ref.replace("refs/tags/", "");
+    explain(args, "Event", `Tag ${tag} pushed`);
+    const version = calculateTagVersion(tag, args);
+    validateTagVersion(context, args, tag, version);
+    return { version, reason: "tag" };
+  }
+
+  if (eventName === "release") {
+    const tagName = context.payload?.release?.tag_name;
+    explain(args, "Event", `Release ${tagName} ${context.payload?.action}`);
+    if (!tagName) {
+      throw new Error("Release event is missing release.tag_name");
+    }
+    const version = calculateTagVersion(tagName, args);
+    validateTagVersion(context, args, tagName, version);
+    return { version, reason: "tag" };
+  }
+
+  if (eventName === "pull_request_target") {
+    // pull_request_target runs against the base branch, so use the PR's head commit instead.
+    const headSha = context.payload?.pull_request?.head?.sha;
+    localDebug(`pull_request.head.sha: ${headSha}`);
+    explain(
+      args,
+      "Event",
+      "pull_request_target, calculated as a pull_request for the head commit"
+    );
+    return calculateEventVersion(
+      withContext(context, { eventName: "pull_request", sha: headSha ?? sha }),
+      args
+    );
+  }
+
+  if (eventName === "workflow_run") {
+    // Calculate the version of the run which triggered this workflow.
+    return calculateEventVersion(
+      await getWorkflowRunContext(context, args),
+      args
+    );
   }
 
   if (
@@ -44,42 +246,70 @@ export async function calculateVersion(context, args) {
     let headCommitTimestamp = context.payload?.head_commit?.timestamp;
     let headCommitMessage = context.payload?.head_commit?.message;
     if (headCommitTimestamp === undefined || headCommitMessage === undefined) {
-      const headCommit = await getCommit(context.repo, sha);
+      const headCommit = await getCommit(context.repo, sha, args);
       headCommitTimestamp = headCommit.timestamp;
       headCommitMessage = headCommit.message;
     }
     localDebug(`head_commit.timestamp: ${headCommitTimestamp}`);
     localDebug(`head_commit.message: ${headCommitMessage}`);
+    const pushedCommits = getPushedCommits(context, headCommitMessage);
 
     const branchName = ref.replace("refs/heads/", "");
-    const asVersion = tryParseVersionBranch(branchName);
+    const asVersion = tryParseVersionBranch(branchName, args);
     if (asVersion !== undefined) {
-      const baseVersion = new SemVer(`${asVersion}.0.0`);
-      localDebug(
-        `Version branch pushed: ${branchName}, base version: ${baseVersion}`
+      explain(args, "Event", `Version branch ${branchName} pushed`);
+      const nextVersion = await getVersionBranchNextVersion(
+        context,
+        args,
+        asVersion,
+        async () => {
+          const prs = await getMergedPullRequests(context, args, pushedCommits);
+          return prs.flatMap((pr) => pr.labels ?? []);
+        }
       );
       return alphaVersion(
-        ensureMajorVersion(baseVersion, majorVersion),
-        headCommitTimestamp
+        ensureMajorVersion(nextVersion, args),
+        await renderPrerelease(
+          context,
+          args,
+          nextVersion.previousVersion,
+          headCommitTimestamp
+        )
       );
     }
     if (branchName === defaultBranch) {
-      localDebug(`Default branch pushed: ${defaultBranch}`);
+      explain(args, "Event", `Default branch ${defaultBranch} pushed`);
       const nextVersion = await getDefaultBranchNextVersion(
-        context.repo,
-        headCommitMessage
+        context,
+        args,
+        pushedCommits
       );
       return alphaVersion(
-        ensureMajorVersion(nextVersion, majorVersion),
-        headCommitTimestamp
+        ensureMajorVersion(nextVersion, args),
+        await renderPrerelease(
+          context,
+          args,
+          nextVersion.previousVersion,
+          headCommitTimestamp
+        )
       );
     }
-    localDebug(`Branch pushed: ${branchName}`);
-    const previousRelease = await getLatestReleaseVersion(context.repo);
-    const nextVersion = previousRelease.inc("minor");
+    explain(args, "Event", `Branch ${branchName} pushed`);
+    const previousRelease = await getPreviousRelease(context, args);
+    const nextVersion =
+      (await incrementFromConventionalCommits(
+        context,
+        args,
+        previousRelease
+      )) ?? incrementFromLabels(previousRelease, undefined, args);
     return localAlphaVersion(
-      ensureMajorVersion(nextVersion, majorVersion),
-      headCommitTimestamp,
+      ensureMajorVersion(nextVersion, args),
+      await renderPrerelease(
+        context,
+        args,
+        nextVersion.previousVersion,
+        headCommitTimestamp
+      ),
       sha
     );
   }
@@ -88,171 +318,999 @@ export async function calculateVersion(context, args) {
     // pull_request events only
     const headRef = context.payload?.pull_request?.head?.ref;
     const prLabels = context.payload?.pull_request?.labels;
-    localDebug(`PR pushed: ${context.eventName} ${context.ref}`);
+    explain(args, "Event", `Pull request from ${headRef} built`);
     localDebug(`pull_request.head.ref: ${headRef}`);
     localDebug(`pull_request.labels: ${JSON.stringify(prLabels)}`);
 
-    const asVersion = tryParseVersionBranch(headRef);
+    const asVersion = tryParseVersionBranch(headRef, args);
     let nextVersion;
     if (asVersion !== undefined) {
-      localDebug(`Version branch PR: ${headRef}`);
-      nextVersion = new SemVer(`${asVersion}.0.0`);
+      explain(args, "Pull request", `From version branch ${headRef}`);
+      nextVersion = await getVersionBranchNextVersion(
+        context,
+        args,
+        asVersion,
+        async () => prLabels
+      );
     } else {
-      const previousRelease = await getLatestReleaseVersion(context.repo);
-      if (isMajorUpgradeBranch(headRef)) {
-        nextVersion = previousRelease.inc("major");
-      } else {
-        const increment = getIncrementTypeFromLabels(prLabels);
-        nextVersion = previousRelease.inc(increment);
-      }
+      const previousRelease = await getPreviousRelease(context, args);
+      // Conventional commits take priority over the branch name and labels.
+      nextVersion =
+        (await incrementFromConventionalCommits(
+          context,
+          args,
+          previousRelease
+        )) ??
+        incrementFromUpgradeBranch(previousRelease, headRef, args) ??
+        incrementFromLabels(previousRelease, prLabels, args);
     }
-    nextVersion = ensureMajorVersion(nextVersion, majorVersion);
-    const { timestamp } = await getCommit(context.repo, sha);
-    const shortHash = context.sha.slice(0, 7);
-    return localAlphaVersion(nextVersion, timestamp, shortHash);
+    nextVersion = ensureMajorVersion(nextVersion, args);
+    const timestamp = await getHeadCommitTimestamp(context, args);
+    return localAlphaVersion(
+      nextVersion,
+      await renderPrerelease(
+        context,
+        args,
+        nextVersion.previousVersion,
+        timestamp
+      ),
+      sha
+    );
   }
 
   if (eventName === "schedule" || eventName === "repository_dispatch") {
-    const previousRelease = await getLatestReleaseVersion(context.repo);
-    let nextVersion = previousRelease.inc("minor");
+    explain(args, "Event", eventName);
+    const previousRelease = await getPreviousRelease(context, args);
+    let nextVersion =
+      (await incrementFromConventionalCommits(
+        context,
+        args,
+        previousRelease
+      )) ?? incrementFromLabels(previousRelease, undefined, args);
     // If a major version is provided, ensure we're using that major version.
-    nextVersion = ensureMajorVersion(nextVersion, majorVersion);
-    const { timestamp } = await getCommit(context.repo, sha);
-    const shortHash = context.sha.slice(0, 7);
-    return localAlphaVersion(nextVersion, timestamp, shortHash);
+    nextVersion = ensureMajorVersion(nextVersion, args);
+    const timestamp = await getHeadCommitTimestamp(context, args);
+    return localAlphaVersion(
+      nextVersion,
+      await renderPrerelease(
+        context,
+        args,
+        nextVersion.previousVersion,
+        timestamp
+      ),
+      sha
+    );
+  }
+
+  if (eventName === "merge_group") {
+    // The merge queue builds a temporary branch containing the queued PR
+    // on top of the base branch, which will be fast-forwarded once it passes.
+    const mergeGroup = context.payload?.merge_group;
+    const headRef = mergeGroup?.head_ref ?? ref;
+    const baseBranch = mergeGroup?.base_ref?.replace("refs/heads/", "");
+    explain(args, "Event", `Merge group ${headRef} into ${baseBranch}`);
+
+    const prNumber = tryParseMergeQueuePrNumber(headRef);
+    const pr =
+      prNumber === undefined
+        ? undefined
+        : await getPullRequest(context, args, prNumber);
+    explain(
+      args,
+      "Pull request",
+      prNumber === undefined ? "None found" : `#${prNumber}`
+    );
+
+    const asVersion = tryParseVersionBranch(baseBranch, args);
+    let nextVersion;
+    if (asVersion !== undefined) {
+      nextVersion = await getVersionBranchNextVersion(
+        context,
+        args,
+        asVersion,
+        async () => pr?.labels
+      );
+    } else {
+      nextVersion = await getPullRequestNextVersion(
+        context,
+        args,
+        pr === undefined ? [] : [pr]
+      );
+    }
+    nextVersion = ensureMajorVersion(nextVersion, args);
+    const timestamp =
+      mergeGroup?.head_commit?.timestamp ??
+      (await getCommit(context.repo, sha, args)).timestamp;
+    return localAlphaVersion(
+      nextVersion,
+      await renderPrerelease(
+        context,
+        args,
+        nextVersion.previousVersion,
+        timestamp
+      ),
+      sha
+    );
   }
 
   throw new Error(`Unsupported event: ${eventName}`);
 }
 
 /**
- * @param {SemVer} baseVersion
- * @param {string} timestamp
- * @returns {string}
+ * @param {NextVersion} nextVersion
+ * @param {string} prerelease
+ * @returns {VersionResult}
  */
-function alphaVersion(baseVersion, timestamp) {
+function alphaVersion(nextVersion, prerelease) {
+  return toVersionResult(
+    nextVersion,
+    validateVersion(`${nextVersion.version.version}-${prerelease}`)
+  );
+}
+
+/**
+ * @param {NextVersion} nextVersion
+ * @param {string} prerelease
+ * @param {string} sha
+ * @returns {VersionResult}
+ */
+function localAlphaVersion(nextVersion, prerelease, sha) {
   // Include the short commit hash for pull-requests and other branches to ensure a unique version per commit.
   // This is considered a "local" version by Python and is not able to be uploaded to PyPI.
-  return `${baseVersion.version}-alpha.${timestampToUnix(timestamp)}`;
+  return toVersionResult(
+    nextVersion,
+    validateVersion(
+      `${nextVersion.version.version}-${prerelease}+${shortHash(sha)}`
+    )
+  );
 }
 
 /**
- * @param {SemVer} baseVersion
- * @param {string} timestamp
- * @param {string} sha
+ * @param {NextVersion} nextVersion
+ * @param {string} version
+ * @returns {VersionResult}
+ */
+function toVersionResult(nextVersion, version) {
+  const previousVersion = nextVersion.previousVersion?.version;
+  return {
+    version,
+    // 0.0.0 is the placeholder when nothing has been released, rather than a release.
+    previousVersion: previousVersion === "0.0.0" ? undefined : previousVersion,
+    increment: nextVersion.increment,
+    reason: nextVersion.reason,
+  };
+}
+
+/**
+ * @param {string} version
  * @returns {string}
  */
-function localAlphaVersion(baseVersion, timestamp, sha) {
-  return `${baseVersion.version}-alpha.${timestampToUnix(
-    timestamp
-  )}+${shortHash(sha)}`;
+function validateVersion(version) {
+  if (valid(version) === null) {
+    throw new Error(
+      `Calculated version is not valid semver: ${version}. Check the prerelease-label and prerelease-format inputs.`
+    );
+  }
+  return version;
 }
 
 /**
- * @param {string} ref
+ * Render the pre-release part of an alpha version from the prerelease-format template.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {SemVer | undefined} previousRelease The release the version was calculated from.
+ * @param {string} timestamp ISO timestamp of the commit being built.
+ * @returns {Promise<string>}
+ */
+async function renderPrerelease(context, args, previousRelease, timestamp) {
+  const format = args?.prereleaseFormat ?? DEFAULT_PRERELEASE_FORMAT;
+  const runNumber = (requiredBy) => {
+    if (!Number.isInteger(context.runNumber)) {
+      throw new Error(`${requiredBy} requires a workflow run number.`);
+    }
+    return context.runNumber;
+  };
+  const distance = () =>
+    getCommitDistanceSinceRelease(context, args, previousRelease);
+  /** @type {Record<string, () => string | number | Promise<number>>} */
+  const tokens = {
+    label: () => args?.prereleaseLabel ?? "alpha",
+    order: () => {
+      const orderingSource = args?.orderingSource ?? "timestamp";
+      switch (orderingSource) {
+        case "timestamp":
+          return timestampToUnix(timestamp);
+        case "commit-distance":
+          return distance();
+        case "run-number":
+          return runNumber("The run-number ordering source");
+        default:
+          throw new Error(`Unsupported ordering source: ${orderingSource}`);
+      }
+    },
+    timestamp: () => timestampToUnix(timestamp),
+    // Prefixed like `git describe`, as an all-digit hash with a leading zero isn't a valid semver identifier.
+    sha: () => `g${shortHash(context.sha)}`,
+    run_number: () => runNumber("The {run_number} token"),
+    distance,
+  };
+  let rendered = "";
+  let lastIndex = 0;
+  for (const match of format.matchAll(/\{([a-z_]+)\}/g)) {
+    const token = tokens[match[1]];
+    if (token === undefined) {
+      throw new Error(
+        `Unknown token in prerelease-format: ${match[0]}. Supported tokens: ${Object.keys(
+          tokens
+        )
+          .map((name) => `{${name}}`)
+          .join(", ")}.`
+      );
+    }
+    rendered += format.slice(lastIndex, match.index) + (await token());
+    lastIndex = match.index + match[0].length;
+  }
+  rendered += format.slice(lastIndex);
+  localDebug(`Rendered prerelease-format "${format}": ${rendered}`);
+  return rendered;
+}
+
+/**
+ * Copy the context with some properties replaced.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {Partial<import("@actions/github/lib/context").Context>} overrides
+ * @returns {import("@actions/github/lib/context").Context}
+ */
+function withContext(context, overrides) {
+  // repo is a getter on the Context class so isn't copied by the spread.
+  return { ...context, repo: context.repo, ...overrides };
+}
+
+/**
+ * Build the context of the workflow run which triggered a `workflow_run` event,
+ * using its event, head branch and head commit.
+ * For tag pushes and releases, GitHub sets the head branch to the tag name.
+ * As runs don't say whether a push was of a branch or a tag, pushes whose head branch
+ * is a version tag (e.g. `v1.2.3`) are treated as tag pushes.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<import("@actions/github/lib/context").Context>}
+ */
+async function getWorkflowRunContext(context, args) {
+  const run = context.payload?.workflow_run;
+  if (run === undefined) {
+    throw new Error("Workflow run event is missing workflow_run");
+  }
+  localDebug(`Workflow run: ${run.event} ${run.head_branch} ${run.head_sha}`);
+  /** @type {Record<string, any>} */
+  const payload = {
+    repository: context.payload?.repository,
+    head_commit: run.head_commit ?? undefined,
+  };
+  if (run.event === "release") {
+    if (!run.head_branch) {
+      throw new Error(
+        "Workflow run triggered by a release is missing head_branch, the release's tag."
+      );
+    }
+    explain(
+      args,
+      "Event",
+      `workflow_run, calculated for the triggering release of tag ${run.head_branch}`
+    );
+    return withContext(context, {
+      eventName: "release",
+      ref: `refs/tags/${run.head_branch}`,
+      sha: run.head_sha,
+      payload: { ...payload, release: { tag_name: run.head_branch } },
+    });
+  }
+  if (
+    run.event === "push" &&
+    parseTagVersion(run.head_branch, args) !== undefined
+  ) {
+    explain(
+      args,
+      "Event",
+      `workflow_run, calculated for the triggering push of tag ${run.head_branch}`
+    );
+    return withContext(context, {
+      eventName: "push",
+      ref: `refs/tags/${run.head_branch}`,
+      sha: run.head_sha,
+      payload,
+    });
+  }
+  explain(
+    args,
+    "Event",
+    `workflow_run, calculated for the triggering ${run.event} of ${run.head_branch}`
+  );
+  let ref = `refs/heads/${run.head_branch}`;
+  if (run.event === "pull_request" || run.event === "pull_request_target") {
+    // The run only includes a summary of the PR, so load its labels.
+    // Runs triggered from forks don't include the PR, so only the head branch is known.
+    const prNumber = run.pull_requests?.[0]?.number;
+    payload.pull_request =
+      prNumber === undefined
+        ? { head: { ref: run.head_branch, sha: run.head_sha } }
+        : await getPullRequest(context, args, prNumber);
+    ref = prNumber === undefined ? ref : `refs/pull/${prNumber}/merge`;
+  }
+  return withContext(context, {
+    eventName: run.event,
+    ref,
+    sha: run.head_sha,
+    payload,
+  });
+}
+
+/**
+ * @param {string} tag
+ * @param {CalculateVersionArgs} args
  * @returns {string}
  */
-function calculateTagVersion(ref) {
+function calculateTagVersion(tag, args) {
   // Get the version from the tag
-  const tag = ref.replace("refs/tags/", "");
   localDebug(`tag: ${tag}`);
+  const prefix = args?.tagPrefix ?? "";
+  if (!tag.startsWith(prefix)) {
+    throw new Error(`Tag ${tag} does not match the tag prefix: ${prefix}`);
+  }
   // Ensure it's a valid semver version
-  const parsed = new SemVer(tag);
+  const parsed = new SemVer(tag.slice(prefix.length));
   return parsed.version;
 }
 
 /**
- * @param {string} branchName
- * @returns {number | undefined}
+ * When validating tags, check the tag's major version matches the major-version input
+ * and pre-release tags are only built from the allowed branches.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {string} tag
+ * @param {string} version The version parsed from the tag.
  */
-function tryParseVersionBranch(branchName) {
+function validateTagVersion(context, args, tag, version) {
+  if (!args?.validateTags) {
+    return;
+  }
+  const parsed = new SemVer(version);
+  const majorVersion = args.majorVersion;
+  if (majorVersion !== undefined && parsed.major !== majorVersion) {
+    throw new Error(
+      `Tag ${tag} has major version ${parsed.major}, but major-version is ${majorVersion}.`
+    );
+  }
+  const allowedBranches = args.prereleaseTagBranches ?? [];
+  if (parsed.prerelease.length === 0 || allowedBranches.length === 0) {
+    return;
+  }
+  const branch = getTagBranch(context);
+  localDebug(`Tag branch: ${branch ?? ""}`);
+  const allowed = allowedBranches.join(", ");
+  if (branch === undefined) {
+    throw new Error(
+      `Pre-release tag ${tag} can't be validated as its branch is unknown. Pre-release tags are only allowed on: ${allowed}.`
+    );
+  }
+  if (
+    !allowedBranches.some((pattern) => matchesBranchPattern(branch, pattern))
+  ) {
+    throw new Error(
+      `Pre-release tag ${tag} is on branch ${branch}, but pre-release tags are only allowed on: ${allowed}.`
+    );
+  }
+}
+
+/**
+ * The branch a tag was created on, if the event includes it:
+ * the pushed branch for tag pushes created with their branch, or the release's target branch.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @returns {string | undefined}
+ */
+function getTagBranch(context) {
+  const ref =
+    context.payload?.base_ref ?? context.payload?.release?.target_commitish;
+  if (!ref) {
+    return undefined;
+  }
+  return ref.replace("refs/heads/", "");
+}
+
+/**
+ * Match a branch name against the version branch patterns, e.g. `v5` or `release/v3.2`.
+ * @param {string | undefined} branchName
+ * @param {CalculateVersionArgs} args
+ * @returns {VersionLine | undefined}
+ */
+function tryParseVersionBranch(branchName, args) {
   if (!branchName) {
     return undefined;
   }
-  const match = branchName.match(/^v(\d+)$/);
-  if (match) {
-    const version = parseInt(match[1], 10);
-    if (!isNaN(version)) {
-      return version;
+  const patterns =
+    args?.versionBranchPatterns ?? DEFAULT_VERSION_BRANCH_PATTERNS;
+  for (const pattern of patterns) {
+    const match = branchName.match(versionBranchPatternToRegExp(pattern));
+    if (match) {
+      const { major, minor } = match.groups;
+      return {
+        major: parseInt(major, 10),
+        minor: minor === undefined ? undefined : parseInt(minor, 10),
+      };
     }
   }
   return undefined;
 }
 
+/**
+ * @param {string} pattern Branch name with `{major}` and optionally `{minor}` tokens, e.g. `release-{major}.x`.
+ * @returns {RegExp}
+ */
+function versionBranchPatternToRegExp(pattern) {
+  const source = pattern
+    .split(/(\{major\}|\{minor\})/)
+    .map((part) => {
+      switch (part) {
+        case "{major}":
+          return "(?<major>\\d+)";
+        case "{minor}":
+          return "(?<minor>\\d+)";
+        default:
+          return escapeRegExp(part);
+      }
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {VersionLine} line
+ * @returns {string} e.g. `v5` or `v3.2`
+ */
+function formatVersionLine(line) {
+  return line.minor === undefined
+    ? `v${line.major}`
+    : `v${line.major}.${line.minor}`;
+}
+
 /**
  * Calculates the next version number that will be released
  * for a default branch push event. This is determined by
- * the latest release version and the commit message.
- * If the commit message contains a PR number, the PR's branch
- * name will be checked for a version number. Otherwise, the
- * increment type will be determined by PR labels.
- * @param {{ owner: string, repo: string }} repo
+ * the latest release version and the PRs merged by the pushed commits.
+ * Each PR's branch name will be checked for a version number.
+ * Otherwise, the increment type will be determined by PR labels.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {PushedCommit[]} commits
+ * @returns {Promise<NextVersion>} The next version number to be released.
+ */
+async function getDefaultBranchNextVersion(context, args, commits) {
+  const prs = await getMergedPullRequests(context, args, commits);
+  return getPullRequestNextVersion(context, args, prs);
+}
+
+/**
+ * Calculates the next version number that will be released once the PRs are merged
+ * into the default branch, from the PRs' branch names and labels.
+ * When there are several PRs, the highest version any of them asks for is used.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {PullRequest[]} prs
+ * @returns {Promise<NextVersion>}
+ */
+async function getPullRequestNextVersion(context, args, prs) {
+  const previousRelease = await getPreviousRelease(context, args);
+  // Check if any PR branch name is a version branch
+  /** @type {NextVersion | undefined} */
+  let versionBranchVersion;
+  for (const pr of prs) {
+    const prRef = pr.head?.ref;
+    const prBranchVersion =
+      prRef === undefined ? undefined : tryParseVersionBranch(prRef, args);
+    if (prBranchVersion !== undefined) {
+      versionBranchVersion = highestNextVersion(versionBranchVersion, {
+        version: new SemVer(
+          `${prBranchVersion.major}.${prBranchVersion.minor ?? 0}.0`
+        ),
+        previousVersion: previousRelease,
+        reason: "version-branch",
+      });
+    }
+  }
+  if (versionBranchVersion !== undefined) {
+    return versionBranchVersion;
+  }
+  // Then, check the conventional commits since the previous release
+  const conventionalVersion = await incrementFromConventionalCommits(
+    context,
+    args,
+    previousRelease
+  );
+  if (conventionalVersion !== undefined) {
+    return conventionalVersion;
+  }
+  if (prs.length === 0) {
+    return incrementFromLabels(previousRelease, undefined, args);
+  }
+  // Next, check if each branch name matches an upgrade branch pattern
+  // Otherwise, determine the increment type from the PR labels
+  return prs
+    .map(
+      (pr) =>
+        incrementFromUpgradeBranch(previousRelease, pr.head?.ref, args) ??
+        incrementFromLabels(previousRelease, pr.labels, args)
+    )
+    .reduce(highestNextVersion);
+}
+
+/**
+ * @param {NextVersion | undefined} a
+ * @param {NextVersion} b
+ * @returns {NextVersion} The higher version, or `a` if they're equal.
+ */
+function highestNextVersion(a, b) {
+  return a === undefined || b.version.compare(a.version) > 0 ? b : a;
+}
+
+/**
+ * Calculates the next version number for a version branch (e.g. `v5` or `release/v3.2`).
+ * If the line has already been released, the latest release in that line
+ * is incremented - patch by default, or according to the Conventional Commits since that release or the PR labels.
+ * The increment can't leave the line. Otherwise, the line starts at `N.0.0`, or `N.M.0` for a minor line.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {VersionLine} line Version line parsed from the branch name.
+ * @param {() => Promise<{ name: string }[] | undefined>} getLabels Loads the labels of the relevant PR, only called if needed.
+ * @returns {Promise<NextVersion>}
+ */
+async function getVersionBranchNextVersion(context, args, line, getLabels) {
+  const name = formatVersionLine(line);
+  const latestInLine = await getLatestReleaseVersionInLine(context, args, line);
+  if (latestInLine === undefined) {
+    explain(
+      args,
+      "Previous release",
+      `None found in ${name}, starting at ${line.major}.${line.minor ?? 0}.0`
+    );
+    return {
+      version: new SemVer(`${line.major}.${line.minor ?? 0}.0`),
+      reason: "version-branch",
+    };
+  }
+  explain(args, "Previous release", `${latestInLine.raw} (latest in ${name})`);
+  // Conventional commits take priority over the labels.
+  let increment = await getConventionalCommitsIncrement(
+    context,
+    args,
+    latestInLine
+  );
+  if (increment === undefined) {
+    const labels = await getLabels();
+    explain(args, "Labels", formatLabels(labels));
+    increment =
+      getIncrementTypeFromLabels(labels, args?.labelMap) ??
+      args?.defaultIncrement ??
+      "patch";
+  }
+  // The version branch takes priority over commits and labels which would leave its line.
+  if (line.minor !== undefined && increment !== "patch") {
+    localDebug(`Ignoring ${increment} increment on version branch ${name}`);
+    increment = "patch";
+  } else if (increment === "major") {
+    localDebug(`Ignoring major increment on version branch ${name}`);
+    increment = "minor";
+  }
+  return incrementVersion(latestInLine, increment, "version-branch");
+}
+
+/**
+ * Find the PRs merged by the pushed commits, most recent first, without duplicates.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {PushedCommit[]} commits
+ * @returns {Promise<PullRequest[]>}
+ */
+async function getMergedPullRequests(context, args, commits) {
+  /** @type {PullRequest[]} */
+  const prs = [];
+  for (const commit of [...commits].reverse()) {
+    const pr = await getMergedPullRequest(
+      withContext(context, { sha: commit.sha }),
+      args,
+      commit.message
+    );
+    if (
+      pr !== undefined &&
+      (pr.number === undefined || !prs.some((p) => p.number === pr.number))
+    ) {
+      prs.push(pr);
+    }
+  }
+  explain(
+    args,
+    "Pull request",
+    prs.length === 0
+      ? commits.length === 1
+        ? "None found"
+        : `None found in ${commits.length} pushed commits`
+      : prs.map((pr) => `#${pr.number} from ${pr.head?.ref}`).join(", ")
+  );
+  return prs;
+}
+
+/**
+ * The commits of a push, oldest first. Uses every commit in the push event payload,
+ * so batched merges and pushes of several commits are all considered.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {string} headCommitMessage
+ * @returns {PushedCommit[]}
+ */
+function getPushedCommits(context, headCommitMessage) {
+  const commits = context.payload?.commits;
+  if (Array.isArray(commits) && commits.length > 0) {
+    return commits.map((commit) => ({
+      sha: commit.id,
+      message: commit.message,
+    }));
+  }
+  return [{ sha: context.sha, message: headCommitMessage }];
+}
+
+/**
+ * Find the PR which was merged to create the given commit.
+ * Asks GitHub for the PRs associated with the commit, which also finds merge commits,
+ * rebase merges and squash merges with edited titles.
+ * Falls back to the PR number in the commit message.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
  * @param {string} commitMessage
- * @returns {Promise<SemVer>} The next version number to be released.
+ * @returns {Promise<PullRequest | undefined>}
  */
-async function getDefaultBranchNextVersion(repo, commitMessage) {
-  const previousRelease = await getLatestReleaseVersion(repo);
+async function getMergedPullRequest(context, args, commitMessage) {
+  if (args?.simulation !== undefined) {
+    return args.simulation.pullRequest;
+  }
+  const associated = await tryGetAssociatedPullRequest(context, args);
+  if (associated !== undefined) {
+    localDebug(`Merged PR #${associated.number} found for ${context.sha}`);
+    return associated;
+  }
   const prNumber = tryParsePrNumber(commitMessage);
   if (prNumber === undefined) {
-    return previousRelease.inc("minor");
+    return undefined;
   }
-  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-  const pr = await octokit.rest.pulls.get({
-    ...repo,
-    pull_number: prNumber,
-  });
-  // Check if the PR branch name is a version branch
-  const prRef = pr.data?.head?.ref;
-  if (prRef !== undefined) {
-    const prBranchVersion = tryParseVersionBranch(prRef);
-    if (prBranchVersion !== undefined) {
-      return new SemVer(`${prBranchVersion}.0.0`);
+  localDebug(`Merged PR #${prNumber} found in the commit message`);
+  // The PR's labels can only be loaded from GitHub.
+  if (!hasGitHubToken(args)) {
+    explain(
+      args,
+      "Pull request",
+      `Skipped #${prNumber} from the commit message, as its labels can't be loaded without a GitHub token`
+    );
+    return undefined;
+  }
+  return getPullRequest(context, args, prNumber);
+}
+
+/**
+ * Find the merged PR associated with the commit being built.
+ * Prefers the PR which created the commit, over other merged PRs containing it.
+ * Skipped without a GitHub token, so version sources which don't use GitHub can build without one.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<PullRequest | undefined>} undefined if no merged PR is found, or the lookup fails.
+ */
+async function tryGetAssociatedPullRequest(context, args) {
+  if (!context.sha) {
+    return undefined;
+  }
+  if (!hasGitHubToken(args)) {
+    localDebug(
+      `No GitHub token configured, finding the merged PR for ${context.sha} from the commit message`
+    );
+    return undefined;
+  }
+  let pulls;
+  try {
+    pulls = await cachedRequest(
+      args,
+      context.repo,
+      `commits/${context.sha}/pulls`,
+      async (octokit) => {
+        const response =
+          await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+            ...context.repo,
+            commit_sha: context.sha,
+          });
+        return response.data;
+      }
+    );
+  } catch (error) {
+    if (error.status === 404) {
+      // The commit isn't on GitHub e.g. when running the CLI on a local commit.
+      localDebug(`Commit ${context.sha} not found`);
+      return undefined;
     }
+    handleLookupFailure(
+      args,
+      `Failed to find pull requests for commit ${context.sha}`,
+      "using the commit message to find the pull request",
+      error
+    );
+    return undefined;
   }
-  // Next, check if the branch name was generated from a major version upgrade
-  if (prRef !== undefined && isMajorUpgradeBranch(prRef)) {
-    return previousRelease.inc("major");
+  const merged = pulls.filter((pr) => pr.merged_at);
+  return merged.find((pr) => pr.merge_commit_sha === context.sha) ?? merged[0];
+}
+
+/**
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {number} prNumber
+ * @returns {Promise<PullRequest>}
+ */
+async function getPullRequest(context, args, prNumber) {
+  // Labels can change, so only reuse the PR for the same commit.
+  return cachedRequest(
+    args,
+    context.repo,
+    `pulls/${prNumber}@${context.sha}`,
+    async (octokit) => {
+      const pr = await octokit.rest.pulls.get({
+        ...context.repo,
+        pull_number: prNumber,
+      });
+      return pr.data;
+    }
+  );
+}
+
+/**
+ * @param {SemVer} previousVersion
+ * @param {Increment} increment
+ * @param {VersionReason} reason
+ * @returns {NextVersion}
+ */
+function incrementVersion(previousVersion, increment, reason) {
+  // SemVer.inc modifies the version in place, so increment a copy.
+  const version = new SemVer(previousVersion.version).inc(increment);
+  return { version, previousVersion, increment, reason };
+}
+
+/**
+ * @param {{ name: string }[] | undefined} labels
+ * @returns {string} e.g. `needs-release/patch, docs`
+ */
+function formatLabels(labels) {
+  return labels === undefined || labels.length === 0
+    ? "None"
+    : labels.map((label) => label.name).join(", ");
+}
+
+/**
+ * Increment the previous version according to the PR labels,
+ * falling back to the default increment when no label matches.
+ * @param {SemVer} previousVersion
+ * @param {{ name: string }[] | undefined} labels
+ * @param {CalculateVersionArgs} args
+ * @returns {NextVersion}
+ */
+function incrementFromLabels(previousVersion, labels, args) {
+  explain(args, "Labels", formatLabels(labels));
+  const increment = getIncrementTypeFromLabels(labels, args?.labelMap);
+  if (increment === undefined) {
+    // Default to minor as this is the most common increment type for providers.
+    return incrementVersion(
+      previousVersion,
+      args?.defaultIncrement ?? "minor",
+      "default"
+    );
+  }
+  return incrementVersion(previousVersion, increment, "label");
+}
+
+/**
+ * Increment the previous version according to the Conventional Commits since the previous release.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {SemVer} previousRelease
+ * @returns {Promise<NextVersion | undefined>} undefined if not enabled or no conventional commits were found.
+ */
+async function incrementFromConventionalCommits(
+  context,
+  args,
+  previousRelease
+) {
+  const increment = await getConventionalCommitsIncrement(
+    context,
+    args,
+    previousRelease
+  );
+  if (increment === undefined) {
+    return undefined;
+  }
+  return incrementVersion(previousRelease, increment, "conventional-commits");
+}
+
+/**
+ * Find the highest increment of the Conventional Commits since the previous release.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {SemVer} previousRelease
+ * @returns {Promise<Increment | undefined>} undefined if not enabled or no conventional commits were found.
+ */
+async function getConventionalCommitsIncrement(context, args, previousRelease) {
+  if (!args?.conventionalCommits) {
+    return undefined;
+  }
+  const messages = await getCommitMessagesSinceRelease(
+    context,
+    args,
+    previousRelease
+  );
+  const increment = getConventionalIncrement(messages);
+  explain(
+    args,
+    "Conventional commits",
+    increment ??
+      `None found in ${messages.length} commits since ${previousRelease.raw}`
+  );
+  return increment;
+}
+
+/**
+ * Count the commits after the previous release up to the commit being built, using the repository checkout.
+ * Counted from the release's tag rather than the nearest tag, so pre-release tags don't restart the count.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {SemVer | undefined} previousRelease Version parsed from the release's tag.
+ * @returns {Promise<number>} All commits in the history if there's no previous release.
+ */
+async function getCommitDistanceSinceRelease(context, args, previousRelease) {
+  const workspace = getWorkspace(args);
+  if (await isShallowRepository(workspace)) {
+    throw new Error(
+      "The commit distance can't be counted in a shallow checkout. Fetch the full history and tags, e.g. with fetch-depth: 0"
+    );
+  }
+  const sha = context.sha || "HEAD";
+  if (previousRelease === undefined || previousRelease.version === "0.0.0") {
+    return getCommitDistance(sha, workspace);
+  }
+  // The raw version is the tag name, including any "v" prefix.
+  const tag = previousRelease.raw;
+  if (!(await hasTag(workspace, tag))) {
+    throw new Error(
+      `The commit distance can't be counted as the tag ${tag} of the previous release is missing from the checkout. Fetch the tags, e.g. with fetch-depth: 0`
+    );
+  }
+  return getCommitDistance(sha, workspace, tag);
+}
+
+/**
+ * Load the messages of the commits after the previous release up to the commit being built.
+ * Uses the repository checkout for the "git-tags" version source, otherwise the GitHub API.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {SemVer} previousRelease Version parsed from the release's tag.
+ * @returns {Promise<string[]>} Empty if there's no previous release or the commits can't be loaded.
+ */
+async function getCommitMessagesSinceRelease(context, args, previousRelease) {
+  if (previousRelease.version === "0.0.0") {
+    return [];
+  }
+  // The raw version is the tag name, including any "v" prefix.
+  const tag = previousRelease.raw;
+  const sha = context.sha || "HEAD";
+  try {
+    if (args?.versionSource === "git-tags") {
+      return await getCommitMessages(getWorkspace(args), `${tag}..${sha}`);
+    }
+    const basehead = `${tag}...${sha}`;
+    return await cachedRequest(
+      args,
+      context.repo,
+      `compare/${basehead}`,
+      async (octokit) => {
+        const comparison = await octokit.rest.repos.compareCommitsWithBasehead({
+          ...context.repo,
+          basehead,
+        });
+        return (comparison.data?.commits ?? []).map(
+          (commit) => commit.commit.message
+        );
+      }
+    );
+  } catch (error) {
+    handleLookupFailure(
+      args,
+      `Failed to get commits since ${tag}`,
+      "choosing the increment without conventional commits",
+      error
+    );
+    return [];
   }
-  // Otherwise, determine the increment type from the PR labels
-  const increment = getIncrementTypeFromLabels(pr.data?.labels);
-  return previousRelease.inc(increment);
 }
 
 /**
  * @param {{ name: string }[] | undefined} labels
- * @returns {'minor' | 'major'}
+ * @param {Map<string, Increment>} [labelMap] Labels which choose an increment. Defaults to the `needs-release/*` labels.
+ * @returns {Increment | undefined} The highest increment of all matching labels, or undefined if no label matches.
  */
-function getIncrementTypeFromLabels(labels) {
+function getIncrementTypeFromLabels(labels, labelMap = DEFAULT_LABEL_MAP) {
   if (!labels) {
     labels = [];
   }
   localDebug(`PR labels: ${labels.map((label) => label.name).join(", ")}`);
-  if (labels.some((label) => label.name === "needs-release/major")) {
-    return "major";
+  const increments = labels.map((label) => labelMap.get(label.name));
+  return ["major", "minor", "patch"].find((increment) =>
+    increments.includes(increment)
+  );
+}
+
+/**
+ * @param {SemVer} previousVersion
+ * @param {string | undefined} branchName
+ * @param {CalculateVersionArgs} args
+ * @returns {NextVersion | undefined} undefined if the branch doesn't match an upgrade branch pattern.
+ */
+function incrementFromUpgradeBranch(previousVersion, branchName, args) {
+  const increment = getIncrementTypeFromUpgradeBranch(
+    branchName,
+    args?.upgradeBranchMap
+  );
+  if (increment === undefined) {
+    return undefined;
   }
-  if (labels.some((label) => label.name === "needs-release/minor")) {
-    return "minor";
+  explain(args, "Upgrade branch", `${branchName}: ${increment}`);
+  return incrementVersion(previousVersion, increment, "upgrade-branch");
+}
+
+/**
+ * Find the increment of the first upgrade branch pattern matching the branch name e.g. `upgrade-*-major`.
+ * @param {string | undefined} branchName
+ * @param {Map<string, Increment>} [upgradeBranchMap]
+ * @returns {Increment | undefined}
+ */
+function getIncrementTypeFromUpgradeBranch(
+  branchName,
+  upgradeBranchMap = DEFAULT_UPGRADE_BRANCH_MAP
+) {
+  if (!branchName) {
+    return undefined;
   }
-  if (labels.some((label) => label.name === "needs-release/patch")) {
-    return "patch";
+  for (const [pattern, increment] of upgradeBranchMap) {
+    if (branchPatternToRegExp(pattern).test(branchName)) {
+      return increment;
+    }
   }
-  // Default to minor as this is the most common increment type for providers.
-  return "minor";
+  return undefined;
 }
 
 /**
- * Tests if the branch name matches the pattern /upgrade-*-major/
- * @param {string} branchName
- * @returns {boolean}
+ * Parse the PR number from a merge queue branch name e.g. `gh-readonly-queue/main/pr-123-<sha>`.
+ * @param {string} ref
+ * @returns {number | undefined}
  */
-function isMajorUpgradeBranch(branchName) {
-  if (!branchName) {
-    return false;
+function tryParseMergeQueuePrNumber(ref) {
+  if (!ref) {
+    return undefined;
+  }
+  const match = ref.match(
+    /^(?:refs\/heads\/)?gh-readonly-queue\/.+\/pr-(\d+)-[0-9a-f]+$/
+  );
+  if (match) {
+    const num = parseInt(match[1], 10);
+    if (!isNaN(num)) {
+      return num;
+    }
   }
-  return branchName.startsWith("upgrade-") && branchName.endsWith("-major");
+  return undefined;
 }
 
 /**
+ * Find the PR number in a merge commit message e.g. `Merge pull request #123 from owner/branch`,
+ * or a squash merge commit message e.g. `Title (#123)`.
  * @param {string} commitMessage
  * @returns {number | undefined}
  */
@@ -260,7 +1318,9 @@ function tryParsePrNumber(commitMessage) {
   if (!commitMessage) {
     return undefined;
   }
-  const prMatch = commitMessage.match(/\(#(\d+)\)/);
+  const prMatch =
+    commitMessage.match(/^Merge pull request #(\d+) from /) ??
+    commitMessage.match(/\(#(\d+)\)/);
   if (prMatch) {
     const num = parseInt(prMatch[1], 10);
     if (!isNaN(num)) {
@@ -271,70 +1331,272 @@ function tryParsePrNumber(commitMessage) {
 }
 
 /**
- * Get the latest release version from GitHub.
- * @param {{ owner: string, repo: string}} repo Repository to load releases from.
+ * Get the latest release version, recording it in the explanation.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
  * @returns {Promise<SemVer>}
  */
-async function getLatestReleaseVersion(repo) {
-  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+async function getPreviousRelease(context, args) {
+  const previousRelease = await getLatestReleaseVersion(context, args);
+  explain(
+    args,
+    "Previous release",
+    previousRelease.version === "0.0.0"
+      ? "None found, starting from 0.0.0"
+      : previousRelease.raw
+  );
+  return previousRelease;
+}
+
+/**
+ * Get the latest release version from the configured version source.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<SemVer>}
+ */
+async function getLatestReleaseVersion(context, args) {
+  const source = getVersionSource(args);
+  let latest;
   try {
-    const response = await octokit.rest.repos.getLatestRelease({
-      owner: repo.owner,
-      repo: repo.repo,
+    latest = await source.getLatestVersion(context, args);
+  } catch (error) {
+    handleLookupFailure(
+      args,
+      usesHighestVersion(args)
+        ? "Failed to get releases"
+        : "Failed to get latest release",
+      "calculating the version from 0.0.0",
+      error
+    );
+    return new SemVer("0.0.0");
+  }
+  if (latest === undefined) {
+    localDebug("No release found, using 0.0.0 as the base version.");
+    return new SemVer("0.0.0");
+  }
+  localDebug(`Latest release: ${latest.raw}`);
+  return latest;
+}
+
+/**
+ * Get the highest stable release version within a major or minor version line from the configured version source.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {VersionLine} line
+ * @returns {Promise<SemVer | undefined>} undefined if the line has not been released.
+ */
+async function getLatestReleaseVersionInLine(context, args, line) {
+  const source = getVersionSource(args);
+  let versions;
+  try {
+    versions = await source.listVersions(context, args, line.major);
+  } catch (error) {
+    handleLookupFailure(
+      args,
+      `Failed to get releases for ${formatVersionLine(line)}`,
+      "treating the version line as unreleased",
+      error
+    );
+    return undefined;
+  }
+  // Pre-releases are excluded.
+  return getHighestVersion(versions, line);
+}
+
+/**
+ * Check the calculated version sorts above the versions already published, according to the version-guard setting.
+ * Versions are compared with the latest release and the releases in the same major version,
+ * and optionally with all tags in the same major version.
+ * Maintenance versions below the latest release are only compared within their major and minor version.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {VersionResult} result
+ * @returns {Promise<void>}
+ */
+async function checkVersionIsUnpublished(context, args, result) {
+  const guard = args?.versionGuard ?? "off";
+  // Tags are already published by definition.
+  if (guard === "off" || result.reason === "tag") {
+    return;
+  }
+  const version = new SemVer(result.version);
+  const latest = await getLatestReleaseVersion(context, args);
+  const isMaintenance =
+    result.reason === "version-branch" && version.compare(latest) < 0;
+  /** @type {VersionLine} */
+  const line = isMaintenance
+    ? { major: version.major, minor: version.minor }
+    : { major: version.major };
+  /** @type {{ description: string, version: SemVer | undefined }[]} */
+  const published = [
+    {
+      description: "latest release",
+      version: isMaintenance ? undefined : latest,
+    },
+    {
+      description: `latest ${formatVersionLine(line)} release`,
+      version: await getLatestReleaseVersionInLine(context, args, line),
+    },
+  ];
+  if (args?.versionGuardTags) {
+    published.push({
+      description: "tag",
+      version: await getHighestPublishedTagVersion(context, args, line),
     });
-    const latestTag = response?.data?.tag_name;
-    if (latestTag === undefined) {
-      localDebug("No latest release found, using 0.0.0 as the base version.");
-      return new SemVer("0.0.0");
+  }
+  for (const { description, version: publishedVersion } of published) {
+    // 0.0.0 means there are no releases.
+    if (
+      publishedVersion === undefined ||
+      publishedVersion.version === "0.0.0" ||
+      version.compare(publishedVersion) > 0
+    ) {
+      continue;
     }
-    localDebug(`Latest release tag: ${latestTag}`);
-    const parsed = new SemVer(latestTag); // Ensure it's a valid semver version
-    if (parsed === null) {
-      warning(`Latest release tag is an invalid semver version: ${latestTag}`);
-      return new SemVer("0.0.0");
+    const message = `Calculated version ${result.version} is not newer than the ${description} ${publishedVersion.raw}.`;
+    if (guard === "fail") {
+      throw new Error(
+        `${message} Check the major-version input and pull request labels.`
+      );
+    }
+    warning(message);
+    return;
+  }
+}
+
+/**
+ * Get the highest version of all tags in a version line, including pre-releases
+ * and tags which aren't reachable from the commit being built.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @param {VersionLine} line
+ * @returns {Promise<SemVer | undefined>}
+ */
+async function getHighestPublishedTagVersion(context, args, line) {
+  const { major } = line;
+  // Patterns without glob characters also work as ref prefixes.
+  const patterns = versionTagPatterns(args, `${major}.`);
+  let tags;
+  try {
+    if (args?.versionSource === "git-tags") {
+      tags = await listTags(
+        getWorkspace(args),
+        patterns.map((pattern) => `${pattern}*`)
+      );
+    } else {
+      tags = await cachedRequest(
+        args,
+        context.repo,
+        // The patterns depend on the tag prefix, so components sharing the cache don't share tags.
+        `tags/${patterns.join(",")}@${context.sha}`,
+        async (octokit) => {
+          const refs = await Promise.all(
+            patterns.map((pattern) =>
+              octokit.paginate(octokit.rest.git.listMatchingRefs, {
+                ...context.repo,
+                ref: `tags/${pattern}`,
+                per_page: 100,
+              })
+            )
+          );
+          return refs.flat().map(({ ref }) => ref.replace("refs/tags/", ""));
+        }
+      );
     }
-    return parsed;
   } catch (error) {
-    // Prefer always returning some kind of version so we don't break builds due to network issues or unexpected release formats.
-    warning(`Failed to get latest release: ${error.toString()}`);
-    return new SemVer("0.0.0");
+    handleLookupFailure(
+      args,
+      `Failed to get tags for major version ${major}`,
+      "checking the version without the tags",
+      error
+    );
+    return undefined;
+  }
+  return getHighestVersion(parseTagVersions(tags, args), {
+    ...line,
+    includePrereleases: true,
+  });
+}
+
+/**
+ * Handle a failed lookup according to the on-lookup-failure setting.
+ * Returns if the caller should continue as if nothing was found, otherwise throws.
+ * Missing GitHub configuration always fails, as no lookup could succeed.
+ * @param {CalculateVersionArgs} args
+ * @param {string} message What failed to be looked up.
+ * @param {string} fallback What the caller does instead when continuing, e.g. "calculating the version from 0.0.0".
+ * @param {Error} error
+ */
+function handleLookupFailure(args, message, fallback, error) {
+  if (error instanceof GitHubConfigurationError) {
+    throw error;
+  }
+  switch (args?.onLookupFailure ?? "warn") {
+    case "fail":
+      throw new Error(
+        `${message}: ${error.toString()}. Failing because on-lookup-failure is "fail", rather than ${fallback}.`
+      );
+    case "fallback":
+      localInfo(`${message}, ${fallback} instead: ${error.toString()}`);
+      return;
+    default:
+      // Prefer always returning some kind of version so we don't break builds due to network issues or unexpected release formats.
+      warning(`${message}, ${fallback} instead: ${error.toString()}`);
   }
 }
 
 /**
  *
- * @param {SemVer} version
- * @param {number | undefined} majorVersion
- * @returns {SemVer}
+ * @param {NextVersion} nextVersion
+ * @param {CalculateVersionArgs} args
+ * @returns {NextVersion}
  */
-function ensureMajorVersion(version, majorVersion) {
+function ensureMajorVersion(nextVersion, args) {
+  const majorVersion = args?.majorVersion;
   if (majorVersion === undefined) {
-    return version;
+    return nextVersion;
   }
+  const { version } = nextVersion;
   if (version.major == majorVersion) {
-    return version;
+    return nextVersion;
   }
   // Reset to requested major version.
   const fixedVersion = new SemVer(`${majorVersion}.0.0`);
   localInfo(
     `Expected major version ${majorVersion}, but would have inferred ${version}. Resetting to ${fixedVersion}.`
   );
-  return fixedVersion;
+  explain(
+    args,
+    "Major version",
+    `Reset ${version} to ${fixedVersion} as major-version is ${majorVersion}`
+  );
+  return {
+    version: fixedVersion,
+    previousVersion: nextVersion.previousVersion,
+    reason: "major-version",
+  };
 }
 
 /**
  * Returns the ISO timestamp of the commit being built
  * @param {{ owner: string, repo: string }} repo
  * @param {string} sha
+ * @param {CalculateVersionArgs} args
  * @returns {Promise<{ timestamp: string, message: string }>}
  */
-async function getCommit(repo, sha) {
-  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-  const currentCommit = await octokit.rest.repos.getCommit({
-    ...repo,
-    ref: sha,
-  });
-  const commit = currentCommit?.data?.commit;
+async function getCommit(repo, sha, args) {
+  const commit = await cachedRequest(
+    args,
+    repo,
+    `commits/${sha}`,
+    async (octokit) => {
+      const currentCommit = await octokit.rest.repos.getCommit({
+        ...repo,
+        ref: sha,
+      });
+      return currentCommit?.data?.commit;
+    }
+  );
   if (commit === undefined) {
     throw new Error(`Could not load commit data: ${sha}`);
   }
@@ -346,6 +1608,22 @@ async function getCommit(repo, sha) {
   };
 }
 
+/**
+ * The ISO timestamp of the commit being built, from the event's head commit if given
+ * (e.g. by the CLI's `--commit-timestamp`), otherwise loaded from GitHub.
+ * @param {import("@actions/github/lib/context").Context} context
+ * @param {CalculateVersionArgs} args
+ * @returns {Promise<string>}
+ */
+async function getHeadCommitTimestamp(context, args) {
+  const timestamp = context.payload?.head_commit?.timestamp;
+  if (timestamp !== undefined) {
+    localDebug(`head_commit.timestamp: ${timestamp}`);
+    return timestamp;
+  }
+  return (await getCommit(context.repo, context.sha, args)).timestamp;
+}
+
 /**
  * @param {string} timestamp
  * @returns {number}
@@ -355,7 +1633,7 @@ function timestampToUnix(timestamp) {
   let time = date.getTime();
   // Check if the date is valid
   if (isNaN(time)) {
-    throw new Error(`Invalid commit date: ${commitDate}`);
+    throw new Error(`Invalid commit date: ${timestamp}`);
   }
   // Remove milliseconds
   return Math.floor(date.getTime() / 1000);
@@ -1,3 +1,7 @@
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 import { calculateVersion, findVersionBranch } from "./version";
 
 beforeEach(() => {
@@ -12,7 +16,7 @@ describe("Tag pushed", () => {
         eventName: "push",
         ref: "refs/tags/v1.0.0",
       })
-    ).toBe("1.0.0");
+    ).toHaveProperty("version", "1.0.0");
   });
   test("Invalid tag", async () => {
     mockGitHubEndpoints();
@@ -48,7 +52,7 @@ describe("main/master branch pushed", () => {
           },
         },
       })
-    ).toBe("1.1.0-alpha.1577836800");
+    ).toHaveProperty("version", "1.1.0-alpha.1577836800");
   });
 
   test("without previous release", async () => {
@@ -74,7 +78,7 @@ describe("main/master branch pushed", () => {
           },
         },
       })
-    ).toBe("0.1.0-alpha.1577836800");
+    ).toHaveProperty("version", "0.1.0-alpha.1577836800");
   });
 
   test("with explicit major version", async () => {
@@ -103,7 +107,7 @@ describe("main/master branch pushed", () => {
         },
         { majorVersion: 2 }
       )
-    ).toBe("2.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
   });
 
   test("After merging PR with needs-release/major label", async () => {
@@ -131,11 +135,12 @@ describe("main/master branch pushed", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
   });
 
   test("After merging version branch PR", async () => {
     mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [],
       "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
       "repos/owner/repo/pulls/4": {
         head: { ref: "v2" },
@@ -159,7 +164,7 @@ describe("main/master branch pushed", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
   });
 
   test("After merging major upgrade PR", async () => {
@@ -187,7 +192,7 @@ describe("main/master branch pushed", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
   });
 
   test("after merging PR with short major version branch name", async () => {
@@ -215,7 +220,198 @@ describe("main/master branch pushed", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
+  });
+
+  function masterPush(message) {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: "refs/heads/master",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "master" },
+        head_commit: {
+          message,
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("after rebase merging major upgrade PR", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4/pulls":
+        [
+          {
+            number: 3,
+            head: { ref: "feature" },
+            merged_at: "2019-12-01T00:00:00Z",
+            merge_commit_sha: "1111111111111111111111111111111111111111",
+          },
+          {
+            number: 5,
+            head: { ref: "upgrade-to-v2-major" },
+            merged_at: null,
+            merge_commit_sha: null,
+          },
+          {
+            number: 4,
+            head: { ref: "upgrade-to-v2-major" },
+            merged_at: "2020-01-01T00:00:00Z",
+            merge_commit_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          },
+        ],
+    });
+
+    expect(await calculateVersion(masterPush("Upgrade to v2"))).toHaveProperty(
+      "version",
+      "2.0.0-alpha.1577836800"
+    );
+  });
+
+  test("after merging PR with a merge commit", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "upgrade-to-v2-major" },
+      },
+    });
+
+    expect(
+      await calculateVersion(
+        masterPush(
+          "Merge pull request #4 from owner/upgrade-to-v2-major\n\nUpgrade to v2 (#3)"
+        )
+      )
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
+  });
+
+  test("falls back to the commit message when the lookup fails", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4/pulls":
+        null,
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "upgrade-to-v2-major" },
+      },
+    });
+
+    expect(
+      await calculateVersion(masterPush("Upgrade to v2 (#4)"))
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
+  });
+});
+
+describe("batch push", () => {
+  const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+  function batchPush(branch, commits) {
+    return {
+      eventName: "push",
+      sha,
+      ref: `refs/heads/${branch}`,
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        commits,
+        head_commit: {
+          ...commits[commits.length - 1],
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("uses the highest increment of the merged PRs", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/commits/1111111111111111111111111111111111111111/pulls":
+        [
+          {
+            number: 3,
+            head: { ref: "feature" },
+            labels: [{ name: "needs-release/major" }],
+            merged_at: "2020-01-01T00:00:00Z",
+            merge_commit_sha: "1111111111111111111111111111111111111111",
+          },
+        ],
+      "repos/owner/repo/pulls/4": {
+        number: 4,
+        head: { ref: "docs" },
+        labels: [{ name: "needs-release/patch" }],
+      },
+    });
+    expect(
+      await calculateVersion(
+        batchPush("main", [
+          {
+            id: "1111111111111111111111111111111111111111",
+            message: "Breaking change",
+          },
+          { id: sha, message: "Update docs (#4)" },
+        ])
+      )
+    ).toEqual({
+      version: "2.0.0-alpha.1577836800",
+      previousVersion: "1.2.1",
+      increment: "major",
+      reason: "label",
+    });
+  });
+
+  test("ignores commits without a PR", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/pulls/4": {
+        number: 4,
+        head: { ref: "fix" },
+        labels: [{ name: "needs-release/patch" }],
+      },
+    });
+    expect(
+      await calculateVersion(
+        batchPush("main", [
+          {
+            id: "1111111111111111111111111111111111111111",
+            message: "Fix (#4)",
+          },
+          { id: sha, message: "Typo" },
+        ])
+      )
+    ).toHaveProperty("increment", "patch");
+  });
+
+  test("combines the labels of PRs merged to a version branch", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [{ tag_name: "v1.2.1" }],
+      "repos/owner/repo/pulls/3": {
+        number: 3,
+        labels: [{ name: "needs-release/minor" }],
+      },
+      "repos/owner/repo/pulls/4": {
+        number: 4,
+        labels: [{ name: "needs-release/patch" }],
+      },
+    });
+    expect(
+      await calculateVersion(
+        batchPush("v1", [
+          {
+            id: "1111111111111111111111111111111111111111",
+            message: "Feature (#3)",
+          },
+          { id: sha, message: "Fix (#4)" },
+        ])
+      )
+    ).toHaveProperty("version", "1.3.0-alpha.1577836800");
   });
 });
 
@@ -247,7 +443,7 @@ describe("Manual run after merging to default branch", () => {
           repository: { default_branch: "master" },
         },
       })
-    ).toBe("6.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "6.0.0-alpha.1577836800");
   });
 });
 
@@ -276,7 +472,7 @@ describe("workflow_dispatch", () => {
           repository: { default_branch: "master" },
         },
       })
-    ).toBe("1.1.0-alpha.1577836800");
+    ).toHaveProperty("version", "1.1.0-alpha.1577836800");
   });
 });
 
@@ -305,13 +501,15 @@ describe("repository_dispatch", () => {
           action: "foo",
         },
       })
-    ).toBe("1.1.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "1.1.0-alpha.1577836800+699a10d");
   });
 });
 
 describe("Version branch pushed", () => {
   test("with previous release", async () => {
-    mockGitHubEndpoints({});
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [],
+    });
 
     expect(
       await calculateVersion({
@@ -330,11 +528,13 @@ describe("Version branch pushed", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
   });
 
   test("with explicit major version", async () => {
-    mockGitHubEndpoints({});
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [],
+    });
 
     expect(
       await calculateVersion(
@@ -356,7 +556,102 @@ describe("Version branch pushed", () => {
         },
         { majorVersion: 3 }
       )
-    ).toBe("3.0.0-alpha.1577836800");
+    ).toHaveProperty("version", "3.0.0-alpha.1577836800");
+  });
+});
+
+describe("Maintenance version branch", () => {
+  const releases = [
+    { tag_name: "v6.1.0" },
+    { tag_name: "v5.13.0-rc.1", prerelease: true },
+    { tag_name: "v5.14.0", draft: true },
+    { tag_name: "v5.12.3" },
+    { tag_name: "v5.2.0" },
+  ];
+
+  test("pushed with previous release in major line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "push",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/heads/v5",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          repository: { default_branch: "master" },
+          head_commit: {
+            message: "Commit message",
+            timestamp: "2020-01-01T00:00:00Z",
+          },
+        },
+      })
+    ).toHaveProperty("version", "5.12.4-alpha.1577836800");
+  });
+
+  test("pushed after merging PR with needs-release/minor label", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+      "repos/owner/repo/pulls/4": {
+        labels: [{ name: "needs-release/minor" }],
+      },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "push",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/heads/v5",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          repository: { default_branch: "master" },
+          head_commit: {
+            message: "Commit message (#4)",
+            timestamp: "2020-01-01T00:00:00Z",
+          },
+        },
+      })
+    ).toHaveProperty("version", "5.13.0-alpha.1577836800");
+  });
+
+  test("PR with needs-release/major label stays in major line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "pull_request",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/pull/4/merge",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          repository: { default_branch: "main" },
+          pull_request: {
+            base: { ref: "main" },
+            head: { ref: "v5" },
+            labels: [{ name: "needs-release/major" }],
+          },
+        },
+      })
+    ).toHaveProperty("version", "5.13.0-alpha.1577836800+699a10d");
   });
 });
 
@@ -386,7 +681,54 @@ describe("pull_request", () => {
           pull_request: { base: { ref: "main" } },
         },
       })
-    ).toBe("1.3.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "1.3.0-alpha.1577836800+699a10d");
+  });
+
+  test("with the head commit timestamp", async () => {
+    // e.g. from the CLI's --commit-timestamp, so the commit isn't loaded.
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "pull_request",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/pull/4/merge",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          repository: { default_branch: "main" },
+          pull_request: { head: { ref: "feature" } },
+          head_commit: { timestamp: "2021-01-01T00:00:00Z" },
+        },
+      })
+    ).toHaveProperty("version", "1.3.0-alpha.1609459200+699a10d");
+  });
+
+  test("with an invalid head commit timestamp", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+    });
+
+    await expect(
+      calculateVersion({
+        eventName: "pull_request",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/pull/4/merge",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          repository: { default_branch: "main" },
+          pull_request: { head: { ref: "feature" } },
+          head_commit: { timestamp: "yesterday" },
+        },
+      })
+    ).rejects.toThrow("Invalid commit date: yesterday");
   });
 
   test("with expected major version", async () => {
@@ -417,7 +759,7 @@ describe("pull_request", () => {
         },
         { majorVersion: 1 }
       )
-    ).toBe("1.3.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "1.3.0-alpha.1577836800+699a10d");
   });
 
   test("with overriding major version", async () => {
@@ -448,7 +790,7 @@ describe("pull_request", () => {
         },
         { majorVersion: 2 }
       )
-    ).toBe("2.0.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
   });
 
   test("without previous release", async () => {
@@ -476,11 +818,12 @@ describe("pull_request", () => {
           pull_request: { base: { ref: "main" } },
         },
       })
-    ).toBe("0.1.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "0.1.0-alpha.1577836800+699a10d");
   });
 
   test("using version branch", async () => {
     mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [],
       "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
       "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
         commit: {
@@ -507,7 +850,7 @@ describe("pull_request", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
   });
 
   test("from major version upgrade", async () => {
@@ -538,11 +881,12 @@ describe("pull_request", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
   });
 
   test("to version branch", async () => {
     mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [],
       "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
         commit: {
           message: "Commit message",
@@ -568,7 +912,7 @@ describe("pull_request", () => {
           },
         },
       })
-    ).toBe("21.0.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "21.0.0-alpha.1577836800+699a10d");
   });
 
   test("with needs-release/major label", async () => {
@@ -599,7 +943,7 @@ describe("pull_request", () => {
           },
         },
       })
-    ).toBe("2.0.0-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
   });
 
   test("with needs-release/patch label", async () => {
@@ -630,81 +974,2618 @@ describe("pull_request", () => {
           },
         },
       })
-    ).toBe("1.2.2-alpha.1577836800+699a10d");
+    ).toHaveProperty("version", "1.2.2-alpha.1577836800+699a10d");
   });
 });
 
-describe("schedule", () => {
-  test("to default branch", async () => {
+describe("merge_group", () => {
+  const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+  function mergeGroupContext(baseRef, prNumber) {
+    const headRef = `refs/heads/gh-readonly-queue/${baseRef}/pr-${prNumber}-ec26c3e57ca3a959ca5aad62de7213c562f8c821`;
+    return {
+      eventName: "merge_group",
+      sha,
+      ref: headRef,
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        action: "checks_requested",
+        merge_group: {
+          head_sha: sha,
+          head_ref: headRef,
+          base_sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+          base_ref: `refs/heads/${baseRef}`,
+          head_commit: {
+            message: "Commit message (#4)",
+            timestamp: "2020-01-01T00:00:00Z",
+          },
+        },
+        repository: { default_branch: "main" },
+      },
+    };
+  }
+
+  test("with needs-release/major label", async () => {
     mockGitHubEndpoints({
       "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
-      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
-        commit: {
-          message: "Commit message",
-          committer: { date: "2020-01-01T00:00:00Z" },
-        },
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "feature" },
+        labels: [{ name: "needs-release/major" }],
       },
     });
 
-    expect(
-      await calculateVersion({
-        eventName: "schedule",
-        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
-        ref: "refs/heads/master",
-        repo: {
-          owner: "owner",
-          repo: "repo",
-        },
-      })
-    ).toBe("1.3.0-alpha.1577836800+699a10d");
+    expect(await calculateVersion(mergeGroupContext("main", 4))).toEqual({
+      version: "2.0.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "major",
+      reason: "label",
+    });
   });
 
-  test("with explicit major version", async () => {
+  test("from major version upgrade", async () => {
     mockGitHubEndpoints({
       "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
-      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
-        commit: {
-          message: "Commit message",
-          committer: { date: "2020-01-01T00:00:00Z" },
-        },
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "upgrade-foo-v2.0.1-major" },
       },
     });
 
-    expect(
-      await calculateVersion(
-        {
-          eventName: "schedule",
-          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
-          ref: "refs/heads/master",
-          repo: {
-            owner: "owner",
-            repo: "repo",
-          },
-        },
-        { majorVersion: 2 }
-      )
-    ).toBe("2.0.0-alpha.1577836800+699a10d");
+    expect(await calculateVersion(mergeGroupContext("main", 4))).toHaveProperty(
+      "version",
+      "2.0.0-alpha.1577836800+699a10d"
+    );
   });
-});
 
-function mockGitHubEndpoints(requests = {}) {
-  fetch.mockResponse(async (req) => {
-    const url = req.url;
-    if (!url.startsWith("https://api.github.com")) {
-      return false;
-    }
-    for (const [pattern, response] of Object.entries(requests)) {
-      if (url.includes(pattern)) {
-        if (response === null) {
-          return { status: 404 };
-        }
-        return {
+  test("without labels", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "feature" },
+      },
+    });
+
+    expect(await calculateVersion(mergeGroupContext("main", 4))).toHaveProperty(
+      "version",
+      "1.3.0-alpha.1577836800+699a10d"
+    );
+  });
+
+  test("into version branch", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [{ tag_name: "v1.2.1" }],
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "fix" },
+        labels: [{ name: "needs-release/minor" }],
+      },
+    });
+
+    expect(await calculateVersion(mergeGroupContext("v1", 4))).toEqual({
+      version: "1.3.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "minor",
+      reason: "version-branch",
+    });
+  });
+
+  test("with explicit major version", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/pulls/4": {
+        head: { ref: "feature" },
+      },
+    });
+
+    expect(
+      await calculateVersion(mergeGroupContext("main", 4), { majorVersion: 3 })
+    ).toHaveProperty("version", "3.0.0-alpha.1577836800+699a10d");
+  });
+});
+
+describe("release", () => {
+  test("published", async () => {
+    mockGitHubEndpoints();
+    expect(
+      await calculateVersion({
+        eventName: "release",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/tags/v1.2.3",
+        payload: {
+          action: "published",
+          release: { tag_name: "v1.2.3" },
+        },
+      })
+    ).toEqual({ version: "1.2.3", reason: "tag" });
+  });
+
+  test("without tag", async () => {
+    mockGitHubEndpoints();
+    await expect(
+      calculateVersion({
+        eventName: "release",
+        payload: { action: "published", release: {} },
+      })
+    ).rejects.toThrow("Release event is missing release.tag_name");
+  });
+});
+
+describe("tag prefix", () => {
+  test("tag push", async () => {
+    mockGitHubEndpoints();
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/tags/sdk/v1.2.3",
+        },
+        { tagPrefix: "sdk/" }
+      )
+    ).toEqual({ version: "1.2.3", reason: "tag" });
+  });
+
+  test("tag push without v", async () => {
+    mockGitHubEndpoints();
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/tags/provider-1.2.3",
+        },
+        { tagPrefix: "provider-" }
+      )
+    ).toHaveProperty("version", "1.2.3");
+  });
+
+  test("tag push without prefix", async () => {
+    mockGitHubEndpoints();
+    await expect(
+      calculateVersion(
+        {
+          eventName: "push",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/tags/v1.2.3",
+        },
+        { tagPrefix: "sdk/" }
+      )
+    ).rejects.toThrow("Tag v1.2.3 does not match the tag prefix: sdk/");
+  });
+
+  test("release", async () => {
+    mockGitHubEndpoints();
+    expect(
+      await calculateVersion(
+        {
+          eventName: "release",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/tags/sdk/v1.2.3",
+          payload: {
+            action: "published",
+            release: { tag_name: "sdk/v1.2.3" },
+          },
+        },
+        { tagPrefix: "sdk/" }
+      )
+    ).toEqual({ version: "1.2.3", reason: "tag" });
+  });
+
+  test("uses highest release with the prefix", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v5.0.0" },
+      "repos/owner/repo/releases?": [
+        { tag_name: "v5.0.0", draft: false, prerelease: false },
+        { tag_name: "sdk/v1.3.0", draft: true, prerelease: false },
+        { tag_name: "sdk/v1.2.0-beta.1", draft: false, prerelease: true },
+        { tag_name: "sdk/v1.1.0", draft: false, prerelease: false },
+        { tag_name: "sdk/v1.0.0", draft: false, prerelease: false },
+        { tag_name: "other/v3.0.0", draft: false, prerelease: false },
+      ],
+    });
+
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/heads/main",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "Commit message",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { tagPrefix: "sdk/" }
+      )
+    ).toEqual({
+      version: "1.2.0-alpha.1577836800",
+      previousVersion: "1.1.0",
+      increment: "minor",
+      reason: "default",
+    });
+  });
+
+  test("no release with the prefix", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": [
+        { tag_name: "v5.0.0", draft: false, prerelease: false },
+      ],
+    });
+
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/heads/main",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "Commit message",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { tagPrefix: "sdk/" }
+      )
+    ).toHaveProperty("previousVersion", undefined);
+  });
+});
+
+describe("highest-semver release selection", () => {
+  const releases = [
+    { tag_name: "v2.1.0", draft: true, prerelease: false },
+    { tag_name: "v2.1.0-beta.1", draft: false, prerelease: true },
+    { tag_name: "v1.4.3", draft: false, prerelease: false },
+    { tag_name: "v2.0.1", draft: false, prerelease: false },
+    { tag_name: "v2.0.0", draft: false, prerelease: false },
+    { tag_name: "not-a-version", draft: false, prerelease: false },
+  ];
+
+  function pushContext() {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: "refs/heads/main",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message: "Commit message",
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("ignores the latest flag", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.4.3" },
+      "repos/owner/repo/releases?": releases,
+    });
+
+    expect(
+      await calculateVersion(pushContext(), {
+        releaseSelection: "highest-semver",
+      })
+    ).toEqual({
+      version: "2.1.0-alpha.1577836800",
+      previousVersion: "2.0.1",
+      increment: "minor",
+      reason: "default",
+    });
+  });
+
+  test("includes pre-releases", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+
+    expect(
+      await calculateVersion(pushContext(), {
+        releaseSelection: "highest-semver",
+        includePrereleases: true,
+      })
+    ).toHaveProperty("previousVersion", "2.1.0-beta.1");
+  });
+
+  test("includes drafts", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+
+    expect(
+      await calculateVersion(pushContext(), {
+        releaseSelection: "highest-semver",
+        includeDraftReleases: true,
+      })
+    ).toHaveProperty("previousVersion", "2.1.0");
+  });
+
+  test("limited to a major line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+
+    expect(
+      await calculateVersion(pushContext(), {
+        releaseSelection: "highest-semver",
+        releaseMajorLine: 1,
+      })
+    ).toEqual({
+      version: "1.5.0-alpha.1577836800",
+      previousVersion: "1.4.3",
+      increment: "minor",
+      reason: "default",
+    });
+  });
+
+  test("no releases in the major line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+
+    expect(
+      await calculateVersion(pushContext(), {
+        releaseSelection: "highest-semver",
+        releaseMajorLine: 5,
+      })
+    ).toHaveProperty("previousVersion", undefined);
+  });
+});
+
+describe("API cache", () => {
+  let cacheDir;
+  beforeEach(() => {
+    cacheDir = mkdtempSync(join(tmpdir(), "provider-version-cache-"));
+  });
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  function scheduleContext(sha) {
+    return {
+      eventName: "schedule",
+      sha,
+      ref: "refs/heads/main",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+      },
+    };
+  }
+
+  test("reuses responses for the same commit", async () => {
+    const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      [`repos/owner/repo/commits/${sha}`]: {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+    const first = await calculateVersion(scheduleContext(sha), { cacheDir });
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.resetMocks();
+    mockGitHubEndpoints();
+    expect(await calculateVersion(scheduleContext(sha), { cacheDir })).toEqual(
+      first
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("looks up the latest release again for another commit", async () => {
+    const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+    const otherSha = "8f2bbc5a2b1b58d2a0b69dbb3b9f2f3d2a1b0c9d";
+    const commit = {
+      commit: {
+        message: "Commit message",
+        committer: { date: "2020-01-01T00:00:00Z" },
+      },
+    };
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      [`repos/owner/repo/commits/${sha}`]: commit,
+    });
+    await calculateVersion(scheduleContext(sha), { cacheDir });
+
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.3.0" },
+      [`repos/owner/repo/commits/${otherSha}`]: commit,
+    });
+    expect(
+      await calculateVersion(scheduleContext(otherSha), { cacheDir })
+    ).toHaveProperty("previousVersion", "1.3.0");
+  });
+
+  test("caches tags separately for each tag prefix", async () => {
+    const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.0" },
+      "repos/owner/repo/releases?": [
+        { tag_name: "v1.2.0" },
+        { tag_name: "sdk/v1.2.0" },
+      ],
+      [`repos/owner/repo/commits/${sha}`]: {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+      "repos/owner/repo/git/matching-refs/tags%2Fv1.": [
+        { ref: "refs/tags/v1.2.0" },
+      ],
+      "repos/owner/repo/git/matching-refs/tags%2Fsdk%2F1.": [],
+      "repos/owner/repo/git/matching-refs/tags%2Fsdk%2Fv1.": [
+        { ref: "refs/tags/sdk/v1.3.0" },
+      ],
+    });
+    const args = { cacheDir, versionGuard: "fail", versionGuardTags: true };
+    expect(await calculateVersion(scheduleContext(sha), args)).toHaveProperty(
+      "version",
+      "1.3.0-alpha.1577836800+699a10d"
+    );
+    await expect(
+      calculateVersion(scheduleContext(sha), { ...args, tagPrefix: "sdk/" })
+    ).rejects.toThrow(
+      "Calculated version 1.3.0-alpha.1577836800+699a10d is not newer than the tag sdk/v1.3.0."
+    );
+  });
+});
+
+describe("GitHub API configuration", () => {
+  let env;
+  beforeEach(() => {
+    env = { ...process.env };
+  });
+  afterEach(() => {
+    process.env = env;
+  });
+
+  function pushContext() {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: "refs/heads/main",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message: "Commit message",
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("fails without a token", async () => {
+    delete process.env.GITHUB_TOKEN;
+    mockGitHubEndpoints();
+    await expect(calculateVersion(pushContext(), {})).rejects.toThrow(
+      "No GitHub token configured."
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("tag pushes don't need a token", async () => {
+    delete process.env.GITHUB_TOKEN;
+    expect(
+      await calculateVersion({ ...pushContext(), ref: "refs/tags/v1.2.3" }, {})
+    ).toHaveProperty("version", "1.2.3");
+  });
+
+  test("token from args", async () => {
+    delete process.env.GITHUB_TOKEN;
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+    });
+    expect(
+      await calculateVersion(pushContext(), { githubToken: "token" })
+    ).toHaveProperty("version", "1.3.0-alpha.1577836800");
+    expect(fetch.mock.calls[0][1].headers.authorization).toBe("token token");
+  });
+});
+
+describe("lookup failures", () => {
+  function pushContext() {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: "refs/heads/main",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message: "Commit message",
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  function mockServerError() {
+    fetch.mockResponse(async (req) =>
+      // Find no merged pull requests, so the release lookup fails.
+      /\/commits\/[^/]+\/pulls/.test(req.url)
+        ? { body: "[]", headers: { "content-type": "application/json" } }
+        : { status: 502, body: "Bad Gateway" }
+    );
+  }
+
+  test("warn", async () => {
+    mockServerError();
+    expect(
+      await calculateVersion(pushContext(), { lookupRetries: 0 })
+    ).toHaveProperty("previousVersion", undefined);
+  });
+
+  test("fallback", async () => {
+    mockServerError();
+    expect(
+      await calculateVersion(pushContext(), {
+        lookupRetries: 0,
+        onLookupFailure: "fallback",
+      })
+    ).toHaveProperty("previousVersion", undefined);
+  });
+
+  test("fail", async () => {
+    mockServerError();
+    await expect(
+      calculateVersion(pushContext(), {
+        lookupRetries: 0,
+        onLookupFailure: "fail",
+      })
+    ).rejects.toThrow(
+      'Failed to get latest release: HttpError: Bad Gateway. Failing because on-lookup-failure is "fail", rather than calculating the version from 0.0.0.'
+    );
+  });
+
+  test("fail with highest-semver selection", async () => {
+    mockServerError();
+    await expect(
+      calculateVersion(pushContext(), {
+        lookupRetries: 0,
+        onLookupFailure: "fail",
+        releaseSelection: "highest-semver",
+      })
+    ).rejects.toThrow("Failed to get releases: HttpError: Bad Gateway.");
+  });
+
+  test("fail to find merged pull requests", async () => {
+    fetch.mockResponse(async () => ({ status: 502, body: "Bad Gateway" }));
+    await expect(
+      calculateVersion(pushContext(), {
+        lookupRetries: 0,
+        onLookupFailure: "fail",
+      })
+    ).rejects.toThrow(
+      'Failed to find pull requests for commit 699a10d86efd595503aa8c3ecfff753a7ed3cbd4: HttpError: Bad Gateway. Failing because on-lookup-failure is "fail", rather than using the commit message to find the pull request.'
+    );
+  });
+
+  test("fail to get commits since the previous release", async () => {
+    fetch.mockResponse(async (req) => {
+      if (/\/commits\/[^/]+\/pulls/.test(req.url)) {
+        return { body: "[]", headers: { "content-type": "application/json" } };
+      }
+      if (req.url.endsWith("/releases/latest")) {
+        return {
+          body: JSON.stringify({ tag_name: "v1.2.1" }),
+          headers: { "content-type": "application/json" },
+        };
+      }
+      return { status: 502, body: "Bad Gateway" };
+    });
+    await expect(
+      calculateVersion(pushContext(), {
+        lookupRetries: 0,
+        onLookupFailure: "fail",
+        conventionalCommits: true,
+      })
+    ).rejects.toThrow(
+      'Failed to get commits since v1.2.1: HttpError: Bad Gateway. Failing because on-lookup-failure is "fail", rather than choosing the increment without conventional commits.'
+    );
+  });
+
+  test("no releases isn't a failure", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": null,
+    });
+    expect(
+      await calculateVersion(pushContext(), { onLookupFailure: "fail" })
+    ).toEqual({
+      version: "0.1.0-alpha.1577836800",
+      previousVersion: undefined,
+      increment: "minor",
+      reason: "default",
+    });
+  });
+
+  test("retries server errors", async () => {
+    fetch
+      .mockResponseOnce(async () => ({
+        body: "[]",
+        headers: { "content-type": "application/json" },
+      }))
+      .mockResponseOnce(async () => ({ status: 502, body: "Bad Gateway" }))
+      .mockResponseOnce(async () => ({
+        body: JSON.stringify({ tag_name: "v1.2.1" }),
+        headers: { "content-type": "application/json" },
+      }));
+    expect(
+      await calculateVersion(pushContext(), {
+        lookupRetries: 1,
+        onLookupFailure: "fail",
+      })
+    ).toHaveProperty("previousVersion", "1.2.1");
+    // The merged pull request lookup, then the failed and retried release lookup.
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("version guard", () => {
+  function pushContext(branch = "main", message = "Commit message") {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: `refs/heads/${branch}`,
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message,
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  const releases = [
+    { tag_name: "v3.2.0" },
+    { tag_name: "v2.4.0" },
+    { tag_name: "v1.0.0" },
+  ];
+
+  test("newer than published versions", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v3.2.0" },
+      "repos/owner/repo/releases?": releases,
+    });
+    expect(
+      await calculateVersion(pushContext(), { versionGuard: "fail" })
+    ).toHaveProperty("version", "3.3.0-alpha.1577836800");
+  });
+
+  test("major version below the latest release", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v3.2.0" },
+      "repos/owner/repo/releases?": [{ tag_name: "v3.2.0" }],
+    });
+    await expect(
+      calculateVersion(pushContext(), {
+        majorVersion: 2,
+        versionGuard: "fail",
+      })
+    ).rejects.toThrow(
+      "Calculated version 2.0.0-alpha.1577836800 is not newer than the latest release v3.2.0. Check the major-version input and pull request labels."
+    );
+  });
+
+  test("warn", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v3.2.0" },
+      "repos/owner/repo/releases?": [{ tag_name: "v3.2.0" }],
+    });
+    expect(
+      await calculateVersion(pushContext(), {
+        majorVersion: 2,
+        versionGuard: "warn",
+      })
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
+  });
+
+  test("off by default", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v3.2.0" },
+    });
+    expect(
+      await calculateVersion(pushContext(), { majorVersion: 2 })
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800");
+  });
+
+  test("maintenance version compared within its major version", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v3.2.0" },
+      "repos/owner/repo/releases?": releases,
+    });
+    expect(
+      await calculateVersion(pushContext("v2"), { versionGuard: "fail" })
+    ).toHaveProperty("version", "2.4.1-alpha.1577836800");
+  });
+
+  test("existing tag", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v3.2.0" },
+      "repos/owner/repo/releases?": releases,
+      "repos/owner/repo/git/matching-refs/tags%2Fv3.": [
+        { ref: "refs/tags/v3.2.0" },
+        { ref: "refs/tags/v3.3.0" },
+      ],
+    });
+    expect(
+      await calculateVersion(pushContext(), { versionGuard: "fail" })
+    ).toHaveProperty("version", "3.3.0-alpha.1577836800");
+    await expect(
+      calculateVersion(pushContext(), {
+        versionGuard: "fail",
+        versionGuardTags: true,
+      })
+    ).rejects.toThrow(
+      "Calculated version 3.3.0-alpha.1577836800 is not newer than the tag v3.3.0."
+    );
+  });
+
+  test("tags aren't checked", async () => {
+    mockGitHubEndpoints();
+    expect(
+      await calculateVersion(
+        { ...pushContext(), ref: "refs/tags/v1.0.0" },
+        { versionGuard: "fail" }
+      )
+    ).toHaveProperty("version", "1.0.0");
+  });
+});
+
+describe("tag validation", () => {
+  function tagContext(tag, baseRef) {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: `refs/tags/${tag}`,
+      payload: { base_ref: baseRef },
+    };
+  }
+
+  test("major version matches", async () => {
+    expect(
+      await calculateVersion(tagContext("v5.1.0"), {
+        majorVersion: 5,
+        validateTags: true,
+      })
+    ).toEqual({ version: "5.1.0", reason: "tag" });
+  });
+
+  test("major version mismatch", async () => {
+    await expect(
+      calculateVersion(tagContext("v15.0.0"), {
+        majorVersion: 5,
+        validateTags: true,
+      })
+    ).rejects.toThrow(
+      "Tag v15.0.0 has major version 15, but major-version is 5."
+    );
+  });
+
+  test("not validated by default", async () => {
+    expect(
+      await calculateVersion(tagContext("v15.0.0"), { majorVersion: 5 })
+    ).toHaveProperty("version", "15.0.0");
+  });
+
+  test("pre-release on allowed branch", async () => {
+    expect(
+      await calculateVersion(
+        tagContext("v5.1.0-beta.1", "refs/heads/release-5.1"),
+        {
+          validateTags: true,
+          prereleaseTagBranches: ["main", "release-*"],
+        }
+      )
+    ).toHaveProperty("version", "5.1.0-beta.1");
+  });
+
+  test("pre-release on other branch", async () => {
+    await expect(
+      calculateVersion(tagContext("v5.1.0-beta.1", "refs/heads/feature"), {
+        validateTags: true,
+        prereleaseTagBranches: ["main", "release-*"],
+      })
+    ).rejects.toThrow(
+      "Pre-release tag v5.1.0-beta.1 is on branch feature, but pre-release tags are only allowed on: main, release-*."
+    );
+  });
+
+  test("pre-release on unknown branch", async () => {
+    await expect(
+      calculateVersion(tagContext("v5.1.0-beta.1", null), {
+        validateTags: true,
+        prereleaseTagBranches: ["main"],
+      })
+    ).rejects.toThrow(
+      "Pre-release tag v5.1.0-beta.1 can't be validated as its branch is unknown."
+    );
+  });
+
+  test("stable release on any branch", async () => {
+    expect(
+      await calculateVersion(tagContext("v5.1.0", "refs/heads/feature"), {
+        validateTags: true,
+        prereleaseTagBranches: ["main"],
+      })
+    ).toHaveProperty("version", "5.1.0");
+  });
+
+  test("release target branch", async () => {
+    await expect(
+      calculateVersion(
+        {
+          eventName: "release",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/tags/v5.1.0-rc.1",
+          payload: {
+            action: "published",
+            release: { tag_name: "v5.1.0-rc.1", target_commitish: "dev" },
+          },
+        },
+        { validateTags: true, prereleaseTagBranches: ["main"] }
+      )
+    ).rejects.toThrow("Pre-release tag v5.1.0-rc.1 is on branch dev");
+  });
+});
+
+describe("release branch patterns", () => {
+  const versionBranchPatterns = [
+    "v{major}",
+    "release-{major}.x",
+    "release/v{major}.{minor}",
+    "stable-{major}",
+  ];
+  const releases = [
+    { tag_name: "v4.0.0" },
+    { tag_name: "v3.3.0" },
+    { tag_name: "v3.2.4" },
+  ];
+
+  function pushContext(branch, message = "Commit message") {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: `refs/heads/${branch}`,
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message,
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("major line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+    expect(
+      await calculateVersion(pushContext("release-3.x"), {
+        versionBranchPatterns,
+      })
+    ).toEqual({
+      version: "3.3.1-alpha.1577836800",
+      previousVersion: "3.3.0",
+      increment: "patch",
+      reason: "version-branch",
+    });
+  });
+
+  test("minor line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+      "repos/owner/repo/pulls/4": {
+        labels: [{ name: "needs-release/minor" }],
+      },
+    });
+    expect(
+      await calculateVersion(pushContext("release/v3.2", "Fix (#4)"), {
+        versionBranchPatterns,
+      })
+    ).toEqual({
+      version: "3.2.5-alpha.1577836800",
+      previousVersion: "3.2.4",
+      increment: "patch",
+      reason: "version-branch",
+    });
+  });
+
+  test("unreleased minor line", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+    });
+    expect(
+      await calculateVersion(pushContext("release/v3.5"), {
+        versionBranchPatterns,
+      })
+    ).toEqual({
+      version: "3.5.0-alpha.1577836800",
+      reason: "version-branch",
+    });
+  });
+
+  test("merged pull request head branch", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v4.0.0" },
+      "repos/owner/repo/pulls/4": { head: { ref: "stable-5" } },
+    });
+    expect(
+      await calculateVersion(pushContext("main", "Merge stable (#4)"), {
+        versionBranchPatterns,
+      })
+    ).toHaveProperty("version", "5.0.0-alpha.1577836800");
+  });
+
+  test("pull request head branch", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases?": releases,
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+    expect(
+      await calculateVersion(
+        {
+          eventName: "pull_request",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/pull/4/merge",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            pull_request: {
+              base: { ref: "main" },
+              head: { ref: "release/v3.2" },
+            },
+          },
+        },
+        { versionBranchPatterns }
+      )
+    ).toHaveProperty("version", "3.2.5-alpha.1577836800+699a10d");
+  });
+
+  test("not matched by the default pattern", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v4.0.0" },
+    });
+    expect(await calculateVersion(pushContext("release-3.x"))).toHaveProperty(
+      "version",
+      "4.1.0-alpha.1577836800+699a10d"
+    );
+  });
+});
+
+describe("upgrade branch map", () => {
+  const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+  const upgradeBranchMap = new Map([
+    ["upgrade-*-major", "major"],
+    ["upgrade-*-minor", "minor"],
+    ["/^renovate\\/.*-patch$/", "patch"],
+  ]);
+
+  test("glob pattern", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ head: { ref: "upgrade-foo-to-v1.3.0-minor" } }),
+        {
+          upgradeBranchMap,
+        }
+      )
+    ).toEqual({
+      version: "1.3.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "minor",
+      reason: "upgrade-branch",
+    });
+  });
+
+  test("regular expression pattern", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ head: { ref: "renovate/foo-1.x-patch" } }),
+        {
+          upgradeBranchMap,
+        }
+      )
+    ).toEqual({
+      version: "1.2.2-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "patch",
+      reason: "upgrade-branch",
+    });
+  });
+
+  test("checked before labels", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({
+          head: { ref: "upgrade-foo-to-v1.3.0-minor" },
+          labels: [{ name: "needs-release/major" }],
+        }),
+        { upgradeBranchMap }
+      )
+    ).toHaveProperty("increment", "minor");
+  });
+
+  test("first matching pattern", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ head: { ref: "upgrade-foo-minor" } }),
+        {
+          upgradeBranchMap: new Map([
+            ["upgrade-*", "patch"],
+            ["upgrade-*-minor", "minor"],
+          ]),
+        }
+      )
+    ).toHaveProperty("increment", "patch");
+  });
+
+  test("replaces the default pattern", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ head: { ref: "upgrade-foo-major" } }),
+        {
+          upgradeBranchMap: new Map([["upgrade-*-minor", "minor"]]),
+        }
+      )
+    ).toHaveProperty("reason", "default");
+  });
+
+  test("merged pull request", async () => {
+    mockEndpoints({
+      "repos/owner/repo/pulls/4": { head: { ref: "upgrade-foo-minor" } },
+    });
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha,
+          ref: "refs/heads/main",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "Upgrade foo (#4)",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { upgradeBranchMap }
+      )
+    ).toEqual({
+      version: "1.3.0-alpha.1577836800",
+      previousVersion: "1.2.1",
+      increment: "minor",
+      reason: "upgrade-branch",
+    });
+  });
+});
+
+describe("pull_request_target", () => {
+  test("uses head commit", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/commits/8f2bbc5a2b1b58d2a0b69dbb3b9f2f3d2a1b0c9d": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "pull_request_target",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/heads/main",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          repository: { default_branch: "main" },
+          pull_request: {
+            base: { ref: "main" },
+            head: {
+              ref: "feature",
+              sha: "8f2bbc5a2b1b58d2a0b69dbb3b9f2f3d2a1b0c9d",
+            },
+            labels: [{ name: "needs-release/patch" }],
+          },
+        },
+      })
+    ).toHaveProperty("version", "1.2.2-alpha.1577836800+8f2bbc5");
+  });
+});
+
+describe("workflow_run", () => {
+  test("after push to default branch", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "workflow_run",
+        sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          action: "completed",
+          repository: { default_branch: "master" },
+          workflow_run: {
+            event: "push",
+            head_branch: "master",
+            head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+            head_commit: {
+              message: "Commit message",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+            pull_requests: [],
+          },
+        },
+      })
+    ).toHaveProperty("version", "1.1.0-alpha.1577836800");
+  });
+
+  test("after pull request", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/pulls/4": {
+        head: {
+          ref: "feature",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        },
+        labels: [{ name: "needs-release/major" }],
+      },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "workflow_run",
+        sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          action: "completed",
+          repository: { default_branch: "master" },
+          workflow_run: {
+            event: "pull_request",
+            head_branch: "feature",
+            head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+            pull_requests: [{ number: 4 }],
+          },
+        },
+      })
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
+  });
+
+  test("after tag push", async () => {
+    expect(
+      await calculateVersion({
+        eventName: "workflow_run",
+        sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          action: "completed",
+          repository: { default_branch: "master" },
+          workflow_run: {
+            event: "push",
+            head_branch: "v1.2.3",
+            head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          },
+        },
+      })
+    ).toEqual({ version: "1.2.3", reason: "tag" });
+  });
+
+  test("after tag push with a tag prefix", async () => {
+    expect(
+      await calculateVersion(
+        {
+          eventName: "workflow_run",
+          sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+          ref: "refs/heads/master",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            action: "completed",
+            repository: { default_branch: "master" },
+            workflow_run: {
+              event: "push",
+              head_branch: "sdk/v1.2.3",
+              head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+            },
+          },
+        },
+        { tagPrefix: "sdk/" }
+      )
+    ).toEqual({ version: "1.2.3", reason: "tag" });
+  });
+
+  test("after release", async () => {
+    expect(
+      await calculateVersion({
+        eventName: "workflow_run",
+        sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          action: "completed",
+          repository: { default_branch: "master" },
+          workflow_run: {
+            event: "release",
+            head_branch: "v1.2.3",
+            head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          },
+        },
+      })
+    ).toEqual({ version: "1.2.3", reason: "tag" });
+  });
+
+  test("after release without a head branch", async () => {
+    await expect(
+      calculateVersion({
+        eventName: "workflow_run",
+        sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          action: "completed",
+          repository: { default_branch: "master" },
+          workflow_run: {
+            event: "release",
+            head_branch: null,
+            head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          },
+        },
+      })
+    ).rejects.toThrow(
+      "Workflow run triggered by a release is missing head_branch, the release's tag."
+    );
+  });
+
+  test("after pull request from fork", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "workflow_run",
+        sha: "ec26c3e57ca3a959ca5aad62de7213c562f8c821",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          action: "completed",
+          repository: { default_branch: "master" },
+          workflow_run: {
+            event: "pull_request",
+            head_branch: "upgrade-foo-major",
+            head_sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+            pull_requests: [],
+          },
+        },
+      })
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
+  });
+});
+
+describe("schedule", () => {
+  test("with the head commit timestamp", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "schedule",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+        payload: {
+          head_commit: { timestamp: "2021-01-01T00:00:00Z" },
+        },
+      })
+    ).toHaveProperty("version", "1.3.0-alpha.1609459200+699a10d");
+  });
+
+  test("to default branch", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion({
+        eventName: "schedule",
+        sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+        ref: "refs/heads/master",
+        repo: {
+          owner: "owner",
+          repo: "repo",
+        },
+      })
+    ).toHaveProperty("version", "1.3.0-alpha.1577836800+699a10d");
+  });
+
+  test("with explicit major version", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion(
+        {
+          eventName: "schedule",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/heads/master",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+        },
+        { majorVersion: 2 }
+      )
+    ).toHaveProperty("version", "2.0.0-alpha.1577836800+699a10d");
+  });
+});
+
+describe("version result", () => {
+  test("tag", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion({
+        eventName: "push",
+        ref: "refs/tags/v1.0.0",
+      })
+    ).toEqual({ version: "1.0.0", reason: "tag" });
+  });
+
+  test("default increment", async () => {
+    mockEndpoints();
+    expect(await calculateVersion(prContext({}))).toEqual({
+      version: "1.3.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "minor",
+      reason: "default",
+    });
+  });
+
+  test("label", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ labels: [{ name: "needs-release/patch" }] })
+      )
+    ).toEqual({
+      version: "1.2.2-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "patch",
+      reason: "label",
+    });
+  });
+
+  test("upgrade branch", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ head: { ref: "upgrade-foo-v2.0.1-major" } })
+      )
+    ).toEqual({
+      version: "2.0.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "major",
+      reason: "upgrade-branch",
+    });
+  });
+
+  test("version branch", async () => {
+    mockEndpoints({
+      "repos/owner/repo/releases?": [{ tag_name: "v1.2.1" }],
+    });
+    expect(await calculateVersion(prContext({ head: { ref: "v1" } }))).toEqual({
+      version: "1.2.2-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "patch",
+      reason: "version-branch",
+    });
+  });
+
+  test("major version override", async () => {
+    mockEndpoints();
+    expect(await calculateVersion(prContext({}), { majorVersion: 3 })).toEqual({
+      version: "3.0.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      reason: "major-version",
+    });
+  });
+});
+
+describe("explanation", () => {
+  const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+  function pushContext(message) {
+    return {
+      eventName: "push",
+      sha,
+      ref: "refs/heads/main",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "main" },
+        head_commit: {
+          message,
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("default branch push", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/pulls/4": {
+        number: 4,
+        head: { ref: "fix" },
+        labels: [{ name: "needs-release/patch" }, { name: "bug" }],
+      },
+    });
+    const explanation = [];
+    await calculateVersion(pushContext("Fix (#4)"), { explanation });
+    expect(explanation).toEqual([
+      { step: "Event", decision: "Default branch main pushed" },
+      { step: "Pull request", decision: "#4 from fix" },
+      { step: "Previous release", decision: "v1.2.1" },
+      { step: "Labels", decision: "needs-release/patch, bug" },
+      { step: "Increment", decision: "patch (label)" },
+      { step: "Version", decision: "1.2.2-alpha.1577836800 (label)" },
+    ]);
+  });
+
+  test("major version override", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+    });
+    const explanation = [];
+    await calculateVersion(pushContext("Commit message"), {
+      majorVersion: 3,
+      explanation,
+    });
+    expect(explanation).toEqual([
+      { step: "Event", decision: "Default branch main pushed" },
+      { step: "Pull request", decision: "None found" },
+      { step: "Previous release", decision: "v1.2.1" },
+      { step: "Labels", decision: "None" },
+      {
+        step: "Major version",
+        decision: "Reset 1.3.0 to 3.0.0 as major-version is 3",
+      },
+      { step: "Version", decision: "3.0.0-alpha.1577836800 (major-version)" },
+    ]);
+  });
+
+  test("no previous release", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": null,
+    });
+    const explanation = [];
+    await calculateVersion(pushContext("Commit message"), { explanation });
+    expect(explanation).toContainEqual({
+      step: "Previous release",
+      decision: "None found, starting from 0.0.0",
+    });
+  });
+});
+
+describe("increment configuration", () => {
+  const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+  test("schedule with default increment", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        {
+          eventName: "schedule",
+          sha,
+          ref: "refs/heads/main",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+        },
+        { defaultIncrement: "patch" }
+      )
+    ).toHaveProperty("version", "1.2.2-alpha.1577836800+699a10d");
+  });
+
+  test("feature branch pushed with default increment", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha,
+          ref: "refs/heads/feature",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "Commit message",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { defaultIncrement: "patch" }
+      )
+    ).toHaveProperty("version", "1.2.2-alpha.1577836800+699a10d");
+  });
+
+  test("pull request with custom label map", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({
+          labels: [{ name: "needs-release/major" }, { name: "release/patch" }],
+        }),
+        {
+          defaultIncrement: "minor",
+          labelMap: new Map([["release/patch", "patch"]]),
+        }
+      )
+    ).toEqual({
+      version: "1.2.2-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "patch",
+      reason: "label",
+    });
+  });
+
+  test("pull request without matching label", async () => {
+    mockEndpoints();
+    expect(
+      await calculateVersion(
+        prContext({ labels: [{ name: "needs-release/major" }] }),
+        {
+          defaultIncrement: "patch",
+          labelMap: new Map([["release/major", "major"]]),
+        }
+      )
+    ).toMatchObject({
+      version: "1.2.2-alpha.1577836800+699a10d",
+      reason: "default",
+    });
+  });
+
+  test("version branch with default increment", async () => {
+    mockEndpoints({
+      "repos/owner/repo/releases?": [{ tag_name: "v1.2.1" }],
+    });
+    expect(
+      await calculateVersion(prContext({ head: { ref: "v1" } }), {
+        defaultIncrement: "minor",
+      })
+    ).toHaveProperty("version", "1.3.0-alpha.1577836800+699a10d");
+  });
+});
+
+describe("conventional commits", () => {
+  const sha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+  function compare(...messages) {
+    return {
+      commits: messages.map((message) => ({ commit: { message } })),
+    };
+  }
+
+  test("pull request with breaking change", async () => {
+    mockEndpoints({
+      [`repos/owner/repo/compare/v1.2.1...${sha}`]: compare(
+        "fix: something",
+        "feat!: remove something"
+      ),
+    });
+    expect(
+      await calculateVersion(
+        prContext({ labels: [{ name: "needs-release/patch" }] }),
+        { conventionalCommits: true }
+      )
+    ).toEqual({
+      version: "2.0.0-alpha.1577836800+699a10d",
+      previousVersion: "1.2.1",
+      increment: "major",
+      reason: "conventional-commits",
+    });
+  });
+
+  test("falls back to labels without conventional commits", async () => {
+    mockEndpoints({
+      [`repos/owner/repo/compare/v1.2.1...${sha}`]: compare("Fix something"),
+    });
+    expect(
+      await calculateVersion(
+        prContext({ labels: [{ name: "needs-release/patch" }] }),
+        { conventionalCommits: true }
+      )
+    ).toMatchObject({
+      version: "1.2.2-alpha.1577836800+699a10d",
+      reason: "label",
+    });
+  });
+
+  test("ignored when not enabled", async () => {
+    mockEndpoints({
+      [`repos/owner/repo/compare/v1.2.1...${sha}`]: compare("fix: something"),
+    });
+    expect(await calculateVersion(prContext({}))).toMatchObject({
+      version: "1.3.0-alpha.1577836800+699a10d",
+      reason: "default",
+    });
+  });
+
+  test("default branch pushed with fix commits", async () => {
+    mockEndpoints({
+      [`repos/owner/repo/compare/v1.2.1...${sha}`]: compare(
+        "fix: something (#4)",
+        "docs: something else"
+      ),
+      "repos/owner/repo/pulls/4": {
+        labels: [{ name: "needs-release/minor" }],
+      },
+    });
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha,
+          ref: "refs/heads/main",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "fix: something (#4)",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { conventionalCommits: true }
+      )
+    ).toMatchObject({
+      version: "1.2.2-alpha.1577836800",
+      reason: "conventional-commits",
+    });
+  });
+
+  test("version branch with feat commits", async () => {
+    mockEndpoints({
+      "repos/owner/repo/releases": [{ tag_name: "v5.12.3" }],
+      [`repos/owner/repo/compare/v5.12.3...${sha}`]: compare(
+        "fix: something",
+        "feat: something"
+      ),
+    });
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha,
+          ref: "refs/heads/v5",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "feat: something",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { conventionalCommits: true }
+      )
+    ).toMatchObject({
+      version: "5.13.0-alpha.1577836800",
+      increment: "minor",
+      reason: "version-branch",
+    });
+  });
+
+  test("breaking change stays in the version branch's line", async () => {
+    mockEndpoints({
+      "repos/owner/repo/releases": [{ tag_name: "v5.12.3" }],
+      [`repos/owner/repo/compare/v5.12.3...${sha}`]: compare("feat!: breaking"),
+    });
+    expect(
+      await calculateVersion(
+        {
+          eventName: "push",
+          sha,
+          ref: "refs/heads/v5",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+          payload: {
+            repository: { default_branch: "main" },
+            head_commit: {
+              message: "feat!: breaking",
+              timestamp: "2020-01-01T00:00:00Z",
+            },
+          },
+        },
+        { conventionalCommits: true }
+      )
+    ).toHaveProperty("version", "5.13.0-alpha.1577836800");
+  });
+
+  test("schedule with feat commits", async () => {
+    mockEndpoints({
+      [`repos/owner/repo/compare/v1.2.1...${sha}`]: compare("feat: something"),
+    });
+    expect(
+      await calculateVersion(
+        {
+          eventName: "schedule",
+          sha,
+          ref: "refs/heads/main",
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+        },
+        { conventionalCommits: true }
+      )
+    ).toMatchObject({
+      version: "1.3.0-alpha.1577836800+699a10d",
+      reason: "conventional-commits",
+    });
+  });
+});
+
+describe("prerelease format", () => {
+  function defaultBranchPushContext() {
+    return {
+      eventName: "push",
+      sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+      ref: "refs/heads/master",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "master" },
+        head_commit: {
+          message: "Commit message",
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("with custom label", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    expect(
+      await calculateVersion(defaultBranchPushContext(), {
+        prereleaseLabel: "beta",
+      })
+    ).toHaveProperty("version", "1.1.0-beta.1577836800");
+  });
+
+  test("with run number and short hash", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+      "repos/owner/repo/commits/699a10d86efd595503aa8c3ecfff753a7ed3cbd4": {
+        commit: {
+          message: "Commit message",
+          committer: { date: "2020-01-01T00:00:00Z" },
+        },
+      },
+    });
+
+    expect(
+      await calculateVersion(
+        {
+          eventName: "schedule",
+          sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+          ref: "refs/heads/master",
+          runNumber: 42,
+          repo: {
+            owner: "owner",
+            repo: "repo",
+          },
+        },
+        {
+          prereleaseLabel: "dev",
+          prereleaseFormat: "{label}.{run_number}.{sha}",
+        }
+      )
+    ).toHaveProperty("version", "1.3.0-dev.42.g699a10d+699a10d");
+  });
+
+  test("with an all-digit short hash", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    expect(
+      await calculateVersion(
+        {
+          ...defaultBranchPushContext(),
+          sha: "0123456d86efd595503aa8c3ecfff753a7ed3cbd4",
+        },
+        { prereleaseFormat: "{label}.{sha}" }
+      )
+    ).toHaveProperty("version", "1.1.0-alpha.g0123456");
+  });
+
+  test("without run number", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    await expect(
+      calculateVersion(defaultBranchPushContext(), {
+        prereleaseFormat: "{label}.{run_number}",
+      })
+    ).rejects.toThrow("The {run_number} token requires a workflow run number.");
+  });
+
+  test("ordered by run number", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    expect(
+      await calculateVersion(
+        { ...defaultBranchPushContext(), runNumber: 42 },
+        { orderingSource: "run-number" }
+      )
+    ).toHaveProperty("version", "1.1.0-alpha.42");
+  });
+
+  test("ordered by run number without run number", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    await expect(
+      calculateVersion(defaultBranchPushContext(), {
+        orderingSource: "run-number",
+      })
+    ).rejects.toThrow(
+      "The run-number ordering source requires a workflow run number."
+    );
+  });
+
+  test("custom format ignores ordering source", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    expect(
+      await calculateVersion(
+        { ...defaultBranchPushContext(), runNumber: 42 },
+        {
+          orderingSource: "run-number",
+          prereleaseFormat: "{label}.{timestamp}",
+        }
+      )
+    ).toHaveProperty("version", "1.1.0-alpha.1577836800");
+  });
+
+  test("with unknown token", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    await expect(
+      calculateVersion(defaultBranchPushContext(), {
+        prereleaseFormat: "{label}.{build}",
+      })
+    ).rejects.toThrow("Unknown token in prerelease-format: {build}.");
+  });
+
+  test("rendering invalid semver", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+
+    await expect(
+      calculateVersion(defaultBranchPushContext(), {
+        prereleaseFormat: "{label}..{timestamp}",
+      })
+    ).rejects.toThrow(
+      "Calculated version is not valid semver: 1.1.0-alpha..1577836800."
+    );
+  });
+});
+
+describe("git-tags version source", () => {
+  let workspace;
+  beforeEach(() => {
+    workspace = mkdtempSync(join(tmpdir(), "provider-version-"));
+    git("init", "--quiet");
+  });
+  afterEach(() => {
+    rmSync(workspace, { recursive: true, force: true });
+  });
+
+  function git(...args) {
+    return execFileSync(
+      "git",
+      ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+      { cwd: workspace, encoding: "utf-8" }
+    ).trim();
+  }
+
+  function commit(message) {
+    git("commit", "--allow-empty", "--quiet", "-m", message);
+    return git("rev-parse", "HEAD");
+  }
+
+  function pushContext(sha) {
+    return {
+      eventName: "push",
+      sha,
+      ref: "refs/heads/master",
+      repo: {
+        owner: "owner",
+        repo: "repo",
+      },
+      payload: {
+        repository: { default_branch: "master" },
+        head_commit: {
+          message: "Commit message",
+          timestamp: "2020-01-01T00:00:00Z",
+        },
+      },
+    };
+  }
+
+  test("uses nearest reachable tag", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v5.0.0" },
+    });
+    commit("first");
+    git("tag", "v1.0.0");
+    commit("second");
+    git("tag", "v1.1.0");
+    git("tag", "v1");
+    const sha = commit("third");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+      })
+    ).toHaveProperty("version", "1.2.0-alpha.1577836800");
+  });
+
+  test("uses nearest tag with the prefix", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "sdk/v1.0.0");
+    commit("second");
+    git("tag", "v3.0.0");
+    git("tag", "sdk/1.1.0");
+    const sha = commit("third");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        tagPrefix: "sdk/",
+      })
+    ).toEqual({
+      version: "1.2.0-alpha.1577836800",
+      previousVersion: "1.1.0",
+      increment: "minor",
+      reason: "default",
+    });
+  });
+
+  test("highest-semver uses highest reachable tag", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v2.0.0");
+    commit("second");
+    git("tag", "v1.5.0");
+    git("tag", "v3.0.0-rc.1");
+    const sha = commit("third");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        releaseSelection: "highest-semver",
+      })
+    ).toHaveProperty("previousVersion", "2.0.0");
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        releaseSelection: "highest-semver",
+        releaseMajorLine: 1,
+      })
+    ).toHaveProperty("previousVersion", "1.5.0");
+  });
+
+  test("version guard with tags not reachable from the commit", async () => {
+    mockGitHubEndpoints();
+    const sha = commit("first");
+    git("tag", "v1.0.0");
+    git("checkout", "--quiet", "-b", "other");
+    commit("second");
+    git("tag", "v1.1.0-rc.1");
+
+    await expect(
+      calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        versionGuard: "fail",
+        versionGuardTags: true,
+      })
+    ).rejects.toThrow(
+      "Calculated version 1.1.0-alpha.1577836800 is not newer than the tag v1.1.0-rc.1."
+    );
+  });
+
+  test("ignores tags not reachable from the commit", async () => {
+    mockGitHubEndpoints();
+    const sha = commit("first");
+    git("tag", "v1.0.0");
+    git("checkout", "--quiet", "-b", "other");
+    commit("second");
+    git("tag", "v2.0.0");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+      })
+    ).toHaveProperty("version", "1.1.0-alpha.1577836800");
+  });
+
+  test("version branch uses latest tag in major line", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.4.2");
+    commit("second");
+    git("tag", "v2.0.0");
+    const sha = commit("third");
+
+    expect(
+      await calculateVersion(
+        { ...pushContext(sha), ref: "refs/heads/v1" },
+        {
+          versionSource: "git-tags",
+          workspace,
+        }
+      )
+    ).toHaveProperty("version", "1.4.3-alpha.1577836800");
+  });
+
+  test("prerelease format with commit distance", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.0.0");
+    commit("second");
+    const sha = commit("third");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        prereleaseFormat: "{label}.{distance}",
+      })
+    ).toHaveProperty("version", "1.1.0-alpha.2");
+  });
+
+  test("ordered by commit distance", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.0.0");
+    const second = commit("second");
+    const third = commit("third");
+
+    const args = {
+      versionSource: "git-tags",
+      workspace,
+      orderingSource: "commit-distance",
+    };
+    // Same commit timestamps still give increasing versions.
+    expect(await calculateVersion(pushContext(second), args)).toHaveProperty(
+      "version",
+      "1.1.0-alpha.1"
+    );
+    expect(await calculateVersion(pushContext(third), args)).toHaveProperty(
+      "version",
+      "1.1.0-alpha.2"
+    );
+  });
+
+  test("commit distance counts from the previous release", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.0.0");
+    commit("second");
+    git("tag", "v1.1.0-rc.1");
+    commit("third");
+    const sha = commit("fourth");
+
+    // The pre-release tag doesn't restart the count.
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        orderingSource: "commit-distance",
+      })
+    ).toHaveProperty("version", "1.1.0-alpha.3");
+  });
+
+  test("commit distance without the previous release's tag", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+    commit("first");
+    const sha = commit("second");
+
+    await expect(
+      calculateVersion(pushContext(sha), {
+        workspace,
+        orderingSource: "commit-distance",
+      })
+    ).rejects.toThrow(
+      "The commit distance can't be counted as the tag v1.0.0 of the previous release is missing from the checkout."
+    );
+  });
+
+  test("commit distance in a shallow checkout", async () => {
+    mockGitHubEndpoints({
+      "repos/owner/repo/releases/latest": { tag_name: "v1.0.0" },
+    });
+    commit("first");
+    git("tag", "v1.0.0");
+    commit("second");
+    const clone = mkdtempSync(join(tmpdir(), "provider-version-shallow-"));
+    try {
+      git("clone", "--quiet", "--depth", "1", `file://${workspace}`, clone);
+      const sha = execFileSync("git", ["rev-parse", "HEAD"], {
+        cwd: clone,
+        encoding: "utf-8",
+      }).trim();
+
+      await expect(
+        calculateVersion(pushContext(sha), {
+          workspace: clone,
+          orderingSource: "commit-distance",
+        })
+      ).rejects.toThrow(
+        "The commit distance can't be counted in a shallow checkout."
+      );
+    } finally {
+      rmSync(clone, { recursive: true, force: true });
+    }
+  });
+
+  test("conventional commits since nearest tag", async () => {
+    mockGitHubEndpoints();
+    commit("feat!: breaking change before release");
+    git("tag", "v1.0.0");
+    commit("fix: something");
+    const sha = commit("chore: tidy up");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        conventionalCommits: true,
+      })
+    ).toMatchObject({
+      version: "1.0.1-alpha.1577836800",
+      reason: "conventional-commits",
+    });
+  });
+
+  test("without version tags", async () => {
+    mockGitHubEndpoints();
+    const sha = commit("first");
+    git("tag", "latest");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+      })
+    ).toHaveProperty("version", "0.1.0-alpha.1577836800");
+  });
+
+  test("without a GitHub token", async () => {
+    const env = { ...process.env };
+    delete process.env.GITHUB_TOKEN;
+    try {
+      commit("first");
+      git("tag", "v1.0.0");
+      const sha = commit("second");
+
+      expect(
+        await calculateVersion(pushContext(sha), {
+          versionSource: "git-tags",
+          workspace,
+        })
+      ).toHaveProperty("version", "1.1.0-alpha.1577836800");
+      expect(fetch).not.toHaveBeenCalled();
+    } finally {
+      process.env = env;
+    }
+  });
+
+  test("without a GitHub token for a pull request merge", async () => {
+    const env = { ...process.env };
+    delete process.env.GITHUB_TOKEN;
+    try {
+      commit("first");
+      git("tag", "v1.0.0");
+      const sha = commit("second");
+      const context = pushContext(sha);
+      context.payload.head_commit.message = "Add thing (#12)";
+      const explanation = [];
+
+      expect(
+        await calculateVersion(context, {
+          versionSource: "git-tags",
+          workspace,
+          explanation,
+        })
+      ).toHaveProperty("version", "1.1.0-alpha.1577836800");
+      expect(fetch).not.toHaveBeenCalled();
+      expect(explanation).toContainEqual({
+        step: "Pull request",
+        decision:
+          "Skipped #12 from the commit message, as its labels can't be loaded without a GitHub token",
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+
+  test("skips pre-release tags", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.0.0");
+    commit("second");
+    git("tag", "v1.1.0-rc.1");
+    const sha = commit("third");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+      })
+    ).toMatchObject({
+      version: "1.1.0-alpha.1577836800",
+      previousVersion: "1.0.0",
+    });
+  });
+
+  test("includes pre-release tags", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.0.0");
+    const sha = commit("second");
+    git("tag", "v1.1.0-rc.1");
+
+    expect(
+      await calculateVersion(pushContext(sha), {
+        versionSource: "git-tags",
+        workspace,
+        includePrereleases: true,
+      })
+    ).toHaveProperty("previousVersion", "1.1.0-rc.1");
+  });
+
+  test("shallow checkout", async () => {
+    mockGitHubEndpoints();
+    commit("first");
+    git("tag", "v1.0.0");
+    commit("second");
+    const clone = mkdtempSync(join(tmpdir(), "provider-version-shallow-"));
+    try {
+      git("clone", "--quiet", "--depth", "1", `file://${workspace}`, clone);
+      const sha = execFileSync("git", ["rev-parse", "HEAD"], {
+        cwd: clone,
+        encoding: "utf-8",
+      }).trim();
+
+      await expect(
+        calculateVersion(pushContext(sha), {
+          versionSource: "git-tags",
+          workspace: clone,
+          onLookupFailure: "fail",
+        })
+      ).rejects.toThrow(
+        "Failed to get latest release: Error: No version tag found in the shallow checkout."
+      );
+    } finally {
+      rmSync(clone, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("file and registry version sources", () => {
+  const pushContext = {
+    eventName: "push",
+    sha: "699a10d86efd595503aa8c3ecfff753a7ed3cbd4",
+    ref: "refs/heads/master",
+    repo: {
+      owner: "owner",
+      repo: "repo",
+    },
+    payload: {
+      repository: { default_branch: "master" },
+      head_commit: {
+        message: "Commit message",
+        timestamp: "2020-01-01T00:00:00Z",
+      },
+    },
+  };
+
+  test("file", async () => {
+    mockGitHubEndpoints();
+    const workspace = mkdtempSync(join(tmpdir(), "provider-version-"));
+    try {
+      writeFileSync(join(workspace, ".version"), "1.2.3\n");
+      expect(
+        await calculateVersion(pushContext, {
+          versionSource: "file",
+          workspace,
+        })
+      ).toHaveProperty("version", "1.3.0-alpha.1577836800");
+    } finally {
+      rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  const registry = {
+    type: "npm",
+    packageName: "@pulumi/aws",
+    url: "http://localhost:4873",
+  };
+
+  /**
+   * @param {object} response Response for the package's registry metadata.
+   */
+  function mockRegistryEndpoints(response) {
+    fetch.mockResponse(async (req) => {
+      if (req.url === "http://localhost:4873/@pulumi%2Faws") {
+        return {
+          body: JSON.stringify(response.body),
+          status: response.status,
+          statusText: response.statusText,
+          headers: { "content-type": "application/json" },
+        };
+      }
+      if (/\/commits\/[^/]+\/pulls/.test(req.url)) {
+        return {
+          body: "[]",
+          headers: { "content-type": "application/json" },
+        };
+      }
+      console.log("Unhandled request: " + req.url);
+      return { status: 404 };
+    });
+  }
+
+  test("registry", async () => {
+    mockRegistryEndpoints({
+      body: {
+        "dist-tags": { latest: "6.1.0" },
+        versions: { "6.0.0": {}, "6.1.0": {} },
+      },
+    });
+    expect(
+      await calculateVersion(pushContext, {
+        versionSource: "registry",
+        registry,
+      })
+    ).toHaveProperty("version", "6.2.0-alpha.1577836800");
+  });
+
+  test("registry lookup failure", async () => {
+    mockRegistryEndpoints({ status: 503, statusText: "Unavailable" });
+    await expect(
+      calculateVersion(pushContext, {
+        versionSource: "registry",
+        registry,
+        onLookupFailure: "fail",
+      })
+    ).rejects.toThrow("Registry request failed: 503 Unavailable");
+  });
+
+  test("registry without a package", async () => {
+    mockGitHubEndpoints();
+    await expect(
+      calculateVersion(pushContext, { versionSource: "registry" })
+    ).rejects.toThrow(
+      "The registry version source requires the registry and registry-package inputs."
+    );
+  });
+});
+
+function mockGitHubEndpoints(requests = {}) {
+  fetch.mockResponse(async (req) => {
+    const url = req.url;
+    if (!url.startsWith("https://api.github.com")) {
+      return false;
+    }
+    for (const [pattern, response] of Object.entries(requests)) {
+      // Don't match nested resources e.g. commits/{sha}/pulls for commits/{sha}.
+      const index = url.indexOf(pattern);
+      if (index !== -1 && url[index + pattern.length] !== "/") {
+        if (response === null) {
+          return { status: 404 };
+        }
+        return {
           body: JSON.stringify(response),
           headers: { "content-type": "application/json" },
         };
       }
     }
+    if (/\/commits\/[^/]+\/pulls/.test(url)) {
+      // Commits have no associated pull requests unless mocked.
+      return {
+        body: "[]",
+        headers: { "content-type": "application/json" },
+      };
+    }
     console.log("Unhandled request: " + url);
     return { status: 404 };
   });
 }
+
+const headSha = "699a10d86efd595503aa8c3ecfff753a7ed3cbd4";
+
+// The latest release v1.2.1 and the commit being built, plus any other requests.
+function mockEndpoints(requests = {}) {
+  mockGitHubEndpoints({
+    "repos/owner/repo/releases/latest": { tag_name: "v1.2.1" },
+    [`repos/owner/repo/commits/${headSha}`]: {
+      commit: {
+        message: "Commit message",
+        committer: { date: "2020-01-01T00:00:00Z" },
+      },
+    },
+    ...requests,
+  });
+}
+
+// A pull request into main, built at the mocked commit.
+function prContext(pullRequest) {
+  return {
+    eventName: "pull_request",
+    sha: headSha,
+    ref: "refs/pull/4/merge",
+    repo: {
+      owner: "owner",
+      repo: "repo",
+    },
+    payload: {
+      repository: { default_branch: "main" },
+      pull_request: { base: { ref: "main" }, ...pullRequest },
+    },
+  };
+}